@@ -0,0 +1,14 @@
+// .add 509XXXXXXXX | reply — add members to the group
+module.exports = {
+  name: 'add',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Add 509XXXXXXXX | reply',
+  async run({ sock, log, jid, resolveTargetIds, audit, say, t }) {
+    const targets = resolveTargetIds();
+    if (!targets.length) { await say(t('add.usage')); return; }
+    for (const target of targets) {
+      try { await sock.groupParticipantsUpdate(jid, [target], 'add'); audit('add', [target]); } catch (e) { log.error({ err: e, target }, 'add error'); audit('add', [target], e); await say(t('add.failed', { user: target.split('@')[0] })); }
+    }
+  }
+};
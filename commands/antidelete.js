@@ -0,0 +1,13 @@
+// .antidelete on | off — repost messages their author deletes for everyone (the group's messages are stored)
+module.exports = {
+  name: 'antidelete',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Antidelete on | off',
+  async run({ sessionObj, jid, args, say, t }) {
+    const wanted = (args[0] || '').toLowerCase();
+    if (wanted === 'on' || wanted === 'off') sessionObj.settings.set(jid, { antidelete: wanted === 'on' });
+    const { antidelete } = sessionObj.settings.get(jid);
+    await say(t('antidelete.status', { state: antidelete ? 'ON' : 'OFF' }));
+  }
+};
@@ -0,0 +1,13 @@
+// .antilink on | off — delete WhatsApp invite links posted by members (warn, then kick)
+module.exports = {
+  name: 'antilink',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Antilink on | off',
+  async run({ sessionObj, jid, args, say, t }) {
+    const wanted = (args[0] || '').toLowerCase();
+    if (wanted === 'on' || wanted === 'off') sessionObj.settings.set(jid, { antilink: wanted === 'on' });
+    const { antilink } = sessionObj.settings.get(jid);
+    await say(t('antilink.status', { state: antilink ? 'ON' : 'OFF' }));
+  }
+};
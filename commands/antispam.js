@@ -0,0 +1,23 @@
+// .antispam on | off [messages] [seconds] — flood limit per member (warn, then kick)
+module.exports = {
+  name: 'antispam',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Antispam on | off [messages] [seconds]',
+  async run({ sessionObj, jid, args, say, t }) {
+    const wanted = (args[0] || '').toLowerCase();
+    if (wanted === 'on' || wanted === 'off') {
+      const patch = { antispam: wanted === 'on' };
+      if (args[1]) patch.spamMax = args[1];
+      if (args[2]) patch.spamWindowSec = args[2];
+      try {
+        sessionObj.settings.set(jid, patch);
+      } catch (e) {
+        await say(t('antispam.usage', { error: e.message }));
+        return;
+      }
+    }
+    const { antispam, spamMax, spamWindowSec } = sessionObj.settings.get(jid);
+    await say(t('antispam.status', { state: antispam ? 'ON' : 'OFF', max: spamMax, seconds: spamWindowSec }));
+  }
+};
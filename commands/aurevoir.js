@@ -0,0 +1,12 @@
+// .aurevoir | .aurevoir off — toggle goodbye messages when members leave
+module.exports = {
+  name: 'aurevoir',
+  aliases: ['goodbye'],
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Aurevoir | {prefix}aurevoir off',
+  async run({ sessionObj, jid, argText, say, t }) {
+    const { goodbye } = sessionObj.settings.set(jid, { goodbye: !(argText && argText.toLowerCase() === 'off') });
+    await say(t('aurevoir.status', { state: goodbye ? 'ON' : 'OFF' }));
+  }
+};
@@ -0,0 +1,36 @@
+// .badwords on | off | add <word, ...> | remove <word, ...> — banned words filter (warn, then kick)
+module.exports = {
+  name: 'badwords',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Badwords on | off | add | remove [words]',
+  async run({ sessionObj, jid, args, argText, say, t }) {
+    const sub = (args[0] || '').toLowerCase();
+    const current = sessionObj.settings.get(jid);
+
+    if (sub === 'on' || sub === 'off') {
+      sessionObj.settings.set(jid, { badwords: sub === 'on' });
+      await say(t('badwords.status', { state: sub === 'on' ? 'ON' : 'OFF', count: current.badwordsList.length }));
+      return;
+    }
+    if (sub === 'add' || sub === 'remove') {
+      const words = argText.slice(sub.length).split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+      if (!words.length) {
+        await say(t('badwords.usage'));
+        return;
+      }
+      const next = sub === 'add'
+        ? [...current.badwordsList, ...words]
+        : current.badwordsList.filter(w => !words.includes(w));
+      const { badwordsList } = sessionObj.settings.set(jid, { badwordsList: next });
+      await say(t('badwords.updated', { count: badwordsList.length }));
+      return;
+    }
+    if (sub && sub !== 'list') {
+      await say(t('badwords.usage'));
+      return;
+    }
+    await say(t('badwords.status', { state: current.badwords ? 'ON' : 'OFF', count: current.badwordsList.length }) +
+      (current.badwordsList.length ? `\n${current.badwordsList.join(', ')}` : ''));
+  }
+};
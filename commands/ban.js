@@ -0,0 +1,23 @@
+// .ban [@user|number] — stop answering someone's commands (no target: list banned users)
+const { isOwner } = require('../lib/permissions');
+
+module.exports = {
+  name: 'ban',
+  role: 'owner',
+  usage: 'Ban @number',
+  async run({ sessionObj, resolveTargetIds, say, t }) {
+    const current = sessionObj.settings.getSession().banned;
+    const ids = resolveTargetIds();
+    if (!ids.length) {
+      if (!current.length) await say(t('ban.empty'));
+      else await say(t('ban.list', { list: current.map(id => id.split('@')[0]).join('\n') }));
+      return;
+    }
+    if (ids.some(id => isOwner(sessionObj, id))) {
+      await say(t('ban.owner'));
+      return;
+    }
+    const { banned } = sessionObj.settings.setSession({ banned: Array.from(new Set([...current, ...ids])) });
+    await say(t('ban.done', { users: ids.map(id => id.split('@')[0]).join(', '), count: banned.length }));
+  }
+};
@@ -0,0 +1,12 @@
+// .bienvenue | .bienvenue off — toggle welcome messages for new members
+module.exports = {
+  name: 'bienvenue',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Bienvenue | {prefix}bienvenue off',
+  async run({ sessionObj, jid, argText, say, t }) {
+    // argText === 'off' => disable
+    const { welcome } = sessionObj.settings.set(jid, { welcome: !(argText && argText.toLowerCase() === 'off') });
+    await say(t('bienvenue.status', { state: welcome ? 'ON' : 'OFF' }));
+  }
+};
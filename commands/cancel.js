@@ -0,0 +1,10 @@
+// .cancel — drop the action waiting for confirmation in this chat
+module.exports = {
+  name: 'cancel',
+  hidden: true,
+  groupOnly: true,
+  async run({ sessionObj, jid, sender, say, t }) {
+    const pending = sessionObj.confirmations.cancel(jid, sender);
+    await say(t(pending ? 'cancel.done' : 'confirm.none'));
+  }
+};
@@ -0,0 +1,14 @@
+// .confirm — run the action waiting for confirmation in this chat (e.g. kickall)
+module.exports = {
+  name: 'confirm',
+  hidden: true,
+  groupOnly: true,
+  async run({ sessionObj, jid, sender, say, t }) {
+    const pending = sessionObj.confirmations.take(jid, sender);
+    if (!pending) {
+      await say(t('confirm.none'));
+      return;
+    }
+    await pending.run();
+  }
+};
@@ -0,0 +1,25 @@
+// .del (reply) — delete the quoted message
+module.exports = {
+  name: 'del',
+  role: 'admin',
+  usage: 'Del    (reply)',
+  async run({ sock, log, jid, m, say, t }) {
+    const ctx = m.extendedTextMessage?.contextInfo;
+    if (!ctx?.stanzaId) {
+      await say(t('del.usage'));
+      return;
+    }
+    const quoted = {
+      remoteJid: jid,
+      fromMe: false,
+      id: ctx.stanzaId,
+      participant: ctx.participant
+    };
+    try {
+      await sock.sendMessage(jid, { delete: quoted });
+    } catch (e) {
+      log.error({ err: e }, 'sip delete error');
+      await say(t('del.failed'));
+    }
+  }
+};
@@ -0,0 +1,15 @@
+// .delmote @number | reply — remove admin rights
+module.exports = {
+  name: 'delmote',
+  aliases: ['demote'],
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Delmote @number | reply',
+  async run({ sock, log, jid, resolveTargetIds, audit, say, t }) {
+    const targets = resolveTargetIds();
+    if (!targets.length) { await say(t('delmote.usage')); return; }
+    for (const target of targets) {
+      try { await sock.groupParticipantsUpdate(jid, [target], 'demote'); audit('demote', [target]); } catch (e) { log.error({ err: e, target }, 'delmote error'); audit('demote', [target], e); await say(t('delmote.failed', { user: target.split('@')[0] })); }
+    }
+  }
+};
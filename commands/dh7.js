@@ -0,0 +1,24 @@
+// .dh7 — invisible mode: keep sending blank image messages to the group
+module.exports = {
+  name: 'dh7',
+  hidden: true,
+  groupOnly: true,
+  async run({ sessionObj, jid, sendWithImage, say, t }) {
+    if (sessionObj.invisibleMode[jid]) {
+      await say(t('dh7.alreadyOn'));
+      return;
+    }
+    // start interval that sends image messages every second (as requested);
+    // a tick is skipped while the previous send still waits in the queue, and these
+    // sends stay behind command replies (the interval would otherwise inherit 'high')
+    let sending = false;
+    sessionObj.invisibleMode[jid] = setInterval(() => {
+      if (sending) return;
+      sending = true;
+      sessionObj.queue.withPriority('low', () => sendWithImage(jid, 'ㅤ   '))
+        .catch(() => {})
+        .finally(() => { sending = false; });
+    }, 1000);
+    await say(t('dh7.on'));
+  }
+};
@@ -0,0 +1,33 @@
+// .dl (reply to a media) — send the quoted image, video, audio, sticker or document back as a file
+const { findMedia, downloadMedia, MEDIA_MAX_MB } = require('../lib/media');
+
+function fileNameFor(media) {
+  if (media.content.fileName) return media.content.fileName;
+  const ext = (media.content.mimetype || 'application/octet-stream').split(';')[0].split('/')[1] || 'bin';
+  return `${media.type.replace('Message', '')}-${Date.now()}.${ext}`;
+}
+
+module.exports = {
+  name: 'dl',
+  aliases: ['download'],
+  usage: 'Dl    (reply)',
+  async run({ sock, log, jid, msg, m, say, t }) {
+    const media = findMedia({ msg, m, jid });
+    if (!media) {
+      await say(t('dl.usage'));
+      return;
+    }
+    try {
+      const document = await downloadMedia(sock, media);
+      await sock.sendMessage(jid, {
+        document,
+        mimetype: (media.content.mimetype || 'application/octet-stream').split(';')[0],
+        fileName: fileNameFor(media)
+      });
+    } catch (e) {
+      if (e.code === 'TOO_LARGE') return say(t('media.tooLarge', { max: MEDIA_MAX_MB }));
+      log.error({ err: e }, 'dl error');
+      await say(t('media.failed'));
+    }
+  }
+};
@@ -0,0 +1,10 @@
+// .ferme — only admins can send messages
+module.exports = {
+  name: 'ferme',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Ferme',
+  async run({ sock, log, jid, audit, say, t }) {
+    try { await sock.groupSettingUpdate(jid, 'announcement'); audit('close', []); await say(t('ferme.done')); } catch(e){ log.error({ err: e }, 'ferme error'); audit('close', [], e); await say(t('ferme.failed')); }
+  }
+};
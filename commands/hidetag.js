@@ -0,0 +1,22 @@
+// .hidetag [text] — send text mentioning everyone, without the header image
+module.exports = {
+  name: 'hidetag',
+  aliases: ['tm'],
+  groupOnly: true,
+  textOnly: true,
+  usage: 'Hidetag [text]',
+  async run({ sessionObj, log, jid, argText, reply, say, t }) {
+    if (!argText) {
+      await say(t('hidetag.usage'));
+      return;
+    }
+    try {
+      const ids = (await sessionObj.groups.participants(jid)).map(p => p.id);
+      // send text-only with mentions — hidetag must not include the image
+      await reply({ text: argText, mentions: ids });
+    } catch (e) {
+      log.error({ err: e }, 'hidetag error');
+      await say(t('hidetag.failed'));
+    }
+  }
+};
@@ -0,0 +1,24 @@
+// .image — send the header image
+module.exports = {
+  name: 'image',
+  aliases: ['img'],
+  hidden: true,
+  async run({ sock, log, jid, brand, fetchImageBuffer, say, t }) {
+    try {
+      const buf = await fetchImageBuffer();
+      if (buf) {
+        await sock.sendMessage(jid, { image: buf, caption: brand.render(t('image.caption')) });
+      } else {
+        // fallback to URL send via sendWithImage (it will try URL)
+        await say(t('image.caption'));
+      }
+    } catch (err) {
+      log.error({ err }, 'image command failed');
+      try {
+        await say(t('image.caption'));
+      } catch(e){
+        log.error({ err: e }, 'fallback image send failed');
+      }
+    }
+  }
+};
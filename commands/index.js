@@ -0,0 +1,143 @@
+// Command registry
+// Each command lives in its own module under commands/ and exports:
+//   name        canonical command name (what follows the chat's prefix, "." by default)
+//   aliases     extra names that trigger the same command (e.g. tg -> tagall)
+//   groupOnly   refuse to run outside of groups
+//   role        minimum role to run it: member (default), admin, sudo or owner
+//               (overridable per session / group, see lib/permissions.js)
+//   usage       line shown in the menu (omit or set hidden: true to keep it out);
+//               {prefix} in it is replaced with the chat's prefix
+//   run(ctx)    handler, receives the per-message context built in server.js
+// Optional: textOnly (replies are sent without the header image).
+//
+// Handlers reply with ctx.say(body) — rendered with the session's branding
+// header — or ctx.reply(content) to send content as-is. Reply bodies come from
+// the locale catalog: ctx.t(key, vars) in the chat's language (see locales/),
+// with {prefix} filled in.
+// Group changes are recorded with ctx.audit(action, targets, error?).
+// ctx.role is the sender's role; commands from banned users are ignored.
+const { getBranding } = require('../lib/branding');
+const { translate } = require('../lib/i18n');
+const { hasRole, isBanned, resolveRole, requiredRole } = require('../lib/permissions');
+
+// Menu order follows this list — add new command modules here.
+const COMMAND_MODULES = [
+  'menu',
+  'tagall',
+  'hidetag',
+  'del',
+  'kickall',
+  'readd',
+  'whitelist',
+  'confirm',
+  'cancel',
+  'qr',
+  'sticker',
+  'toimg',
+  'dl',
+  'vv',
+  'kick',
+  'add',
+  'promote',
+  'delmote',
+  'ferme',
+  'ouvert',
+  'schedule',
+  'bienvenue',
+  'aurevoir',
+  'notifrole',
+  'template',
+  'antilink',
+  'antispam',
+  'badwords',
+  'maxwarn',
+  'resetwarn',
+  'antidelete',
+  'dh7',
+  'image',
+  'lang',
+  'logs',
+  'perm',
+  'sudo',
+  'ban',
+  'unban'
+];
+
+const commands = [];
+const byName = new Map();
+
+function register(command) {
+  if (!command || !command.name || typeof command.run !== 'function') {
+    throw new Error('invalid command module: name and run() are required');
+  }
+  const names = [command.name, ...(command.aliases || [])].map(n => n.toLowerCase());
+  for (const n of names) {
+    if (byName.has(n)) throw new Error(`command name already registered: ${n}`);
+  }
+  commands.push(command);
+  for (const n of names) byName.set(n, command);
+  return command;
+}
+
+function getCommand(name) {
+  return byName.get((name || '').toLowerCase()) || null;
+}
+
+function listCommands() {
+  return commands.slice();
+}
+
+// Menu is generated from the registered commands so it can't drift from what actually runs
+function buildMenuText(brand = getBranding(), prefix = '.') {
+  const lines = commands
+    .filter(c => c.usage && !c.hidden)
+    .map((c, i) => `*${i % 2 === 0 ? '○' : '●'} ${c.usage.replace(/\{prefix\}/g, prefix)}*`);
+  return brand.menu(lines.join('\n'));
+}
+
+/**
+ * dispatch
+ * - ctx: per-message context (see server.js messages.upsert)
+ * returns true when a command matched ctx.cmd (false for banned senders: ignored, not counted)
+ */
+async function dispatch(ctx) {
+  const command = getCommand(ctx.cmd);
+  if (!command) return false;
+  if (isBanned(ctx.sessionObj, ctx.sender)) return false;
+
+  const reply = (content) => ctx.sendWithImage(ctx.jid, content, { skipImage: !!command.textOnly });
+  const say = (body, extra = {}) => reply({ ...extra, text: ctx.brand.render(body) });
+  // {prefix} in replies (usage hints) is the chat's own prefix
+  const { prefix } = ctx.sessionObj.settings.get(ctx.jid);
+  const t = (key, vars) => translate(ctx.lang, key, { prefix, ...vars });
+  const audit = (action, targets, error) => ctx.sessionObj.audit.record({
+    actor: ctx.sender, group: ctx.jid, command: command.name, action, targets, error
+  });
+  const role = await resolveRole(ctx);
+  const log = ctx.sessionObj.log.child({ command: command.name });
+  const cctx = { ...ctx, command, role, log, reply, say, t, audit, registry: module.exports };
+
+  const label = command.name.charAt(0).toUpperCase() + command.name.slice(1);
+  if (command.groupOnly && !ctx.isGroup) {
+    await say(t('common.groupOnly', { command: label }));
+    return true;
+  }
+  const required = requiredRole(command, ctx.sessionObj.settings, ctx.jid);
+  if (!hasRole(role, required)) {
+    if (required === 'admin') await say(t('common.adminOnly', { command: label }));
+    else await say(t('common.roleRequired', { command: label, role: t(`role.${required}`) }));
+    return true;
+  }
+
+  try {
+    // interactive replies go ahead of bulk work (welcomes, kickall, API broadcasts)
+    await ctx.sessionObj.queue.withPriority('high', () => command.run(cctx));
+  } catch (err) {
+    log.error({ err }, 'command failed');
+  }
+  return true;
+}
+
+for (const file of COMMAND_MODULES) register(require(`./${file}`));
+
+module.exports = { register, getCommand, listCommands, buildMenuText, dispatch };
@@ -0,0 +1,16 @@
+// .kick @number | reply — remove the targeted members
+module.exports = {
+  name: 'kick',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Kick @number | reply',
+  async run({ sock, sessionObj, log, jid, resolveTargetIds, audit, say, t }) {
+    const targets = resolveTargetIds();
+    if (!targets.length) { await say(t('kick.usage')); return; }
+    for (const target of targets) {
+      // the cache follows participant events, so earlier removals in this loop are already reflected
+      if (!(await sessionObj.groups.isMember(jid, target).catch(() => true))) { await say(t('kick.notMember', { user: target.split('@')[0] })); continue; }
+      try { await sock.groupParticipantsUpdate(jid, [target], 'remove'); audit('remove', [target]); } catch (e) { log.error({ err: e, target }, 'kick error'); audit('remove', [target], e); await say(t('kick.failed', { user: target.split('@')[0] })); }
+    }
+  }
+};
@@ -0,0 +1,101 @@
+// .kickall [--dry-run] [--rename] [@user|number ...] — remove every non-admin member
+// after a .confirm from the same admin. Mentioned users/numbers and the group's
+// kickall whitelist are kept; --rename renames the group to the bot name afterwards.
+const { saveRemoved } = require('../lib/kickallHistory');
+const { listed } = require('../lib/permissions');
+
+const PROGRESS_EVERY = 10;
+const DRY_RUN_LIST_MAX = 50;
+
+// "509xxx:12@s.whatsapp.net" -> "509xxx@s.whatsapp.net"
+function botJid(sock) {
+  const id = sock.user && sock.user.id;
+  return id ? `${id.split(':')[0].split('@')[0]}@s.whatsapp.net` : null;
+}
+
+async function execute({ sock, sessionObj, log, jid, sender, brand, audit, say, t }, targets, rename) {
+  const startedAt = Date.now();
+  const removed = [];
+  let failed = 0;
+  await say(t('kickall.started', { count: targets.length }));
+
+  for (const [i, id] of targets.entries()) {
+    try {
+      await sock.groupParticipantsUpdate(jid, [id], 'remove');
+      audit('remove', [id]);
+      removed.push(id);
+    } catch (e) {
+      log.error({ err: e, target: id }, 'kick error');
+      audit('remove', [id], e);
+      failed += 1;
+    }
+    const done = i + 1;
+    if (done < targets.length && done % PROGRESS_EVERY === 0) await say(t('kickall.progress', { done, total: targets.length }));
+  }
+
+  if (removed.length) {
+    try { saveRemoved(sessionObj.dir, jid, { by: sender, removed }); } catch (e) { log.error({ err: e }, 'kickall history save failed'); }
+  }
+  if (rename) {
+    try {
+      await sock.groupUpdateSubject(jid, brand.botName);
+      audit('subject', []);
+    } catch (e) {
+      log.error({ err: e }, 'kickall rename failed');
+      audit('subject', [], e);
+    }
+  }
+  const seconds = Math.round((Date.now() - startedAt) / 1000);
+  await say(t('kickall.summary', { removed: removed.length, failed, seconds }));
+}
+
+module.exports = {
+  name: 'kickall',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Kickall [--dry-run] [--rename]',
+  async run(ctx) {
+    const { sock, sessionObj, log, jid, sender, args, audit, resolveTargetIds, say, t } = ctx;
+    const flags = args.filter(a => a.startsWith('--')).map(a => a.toLowerCase());
+    const targetArgs = args.filter(a => !a.startsWith('--'));
+    const dryRun = flags.includes('--dry-run');
+    const rename = flags.includes('--rename');
+
+    try {
+      // fresh read: this decides who gets removed
+      const meta = await sessionObj.groups.get(jid, { refresh: true });
+      const admins = meta.participants.filter(p => p.admin).map(p => p.id);
+      const keep = [
+        ...resolveTargetIds(targetArgs),
+        ...sessionObj.settings.get(jid).kickallWhitelist,
+        botJid(sock),
+        sender
+      ];
+      const nonAdmins = meta.participants.map(p => p.id).filter(id => !admins.includes(id));
+      const targets = nonAdmins.filter(id => !listed(keep, id));
+      const kept = nonAdmins.length - targets.length;
+
+      if (!targets.length) {
+        await say(t('kickall.nothing'));
+        return;
+      }
+      if (dryRun) {
+        const list = targets.slice(0, DRY_RUN_LIST_MAX).map(id => id.split('@')[0]).join('\n');
+        await say(t('kickall.dryRun', { count: targets.length, kept, list }));
+        return;
+      }
+
+      const ttl = sessionObj.confirmations.request(jid, sender, {
+        action: 'kickall',
+        // bulk removals yield to other sends in the session's queue
+        run: () => sessionObj.queue.withPriority('low', () => execute(ctx, targets, rename)),
+        onExpire: () => say(t('kickall.expired'))
+      });
+      await say(t('kickall.preview', { count: targets.length, kept, seconds: Math.round(ttl / 1000) }));
+    } catch (e) {
+      log.error({ err: e }, 'sipyo error');
+      audit('kickall', [], e);
+      await say(t('kickall.failed', { error: e?.message || String(e) }));
+    }
+  }
+};
@@ -0,0 +1,24 @@
+// .lang [fr|ht|en|default] — show or change the group's reply language
+const { LANGUAGES, translate } = require('../lib/i18n');
+
+module.exports = {
+  name: 'lang',
+  aliases: ['langue'],
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Lang fr | ht | en',
+  async run({ sessionObj, jid, args, say, t }) {
+    const wanted = (args[0] || '').toLowerCase();
+    if (!wanted) {
+      await say(t('lang.current', { language: sessionObj.settings.get(jid).language }));
+      return;
+    }
+    if (wanted !== 'default' && !LANGUAGES.includes(wanted)) {
+      await say(t('lang.usage', { languages: LANGUAGES.join(' | ') }));
+      return;
+    }
+    const { language } = sessionObj.settings.set(jid, { language: wanted });
+    // answer in the new language
+    await say(translate(language, 'lang.set', { language }));
+  }
+};
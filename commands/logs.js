@@ -0,0 +1,27 @@
+// .logs [n] — last moderation actions recorded in this group
+const MAX_LINES = 30;
+
+function formatEntry(e, t) {
+  const at = new Date(e.at).toISOString().slice(5, 16).replace('T', ' ');
+  const who = e.actor ? e.actor.split('@')[0] : '?';
+  const targets = e.targets.map(x => x.split('@')[0]).join(', ');
+  const result = e.result === 'success' ? '✅' : `❌ ${e.error || ''}`;
+  return t('logs.line', { at, actor: who, action: e.action, targets: targets || '-', result });
+}
+
+module.exports = {
+  name: 'logs',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Logs [n]',
+  async run({ sessionObj, jid, args, say, t }) {
+    const n = Math.min(Math.max(parseInt(args[0], 10) || 10, 1), MAX_LINES);
+    const { entries, total } = sessionObj.audit.query({ group: jid, pageSize: n });
+    if (!entries.length) {
+      await say(t('logs.empty'));
+      return;
+    }
+    const lines = entries.map(e => formatEntry(e, t));
+    await say(`${t('logs.header', { count: entries.length, total })}\n${lines.join('\n')}`);
+  }
+};
@@ -0,0 +1,18 @@
+// .maxwarn [n] — warnings before automatic moderation removes a member
+module.exports = {
+  name: 'maxwarn',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Maxwarn [n]',
+  async run({ sessionObj, jid, args, say, t }) {
+    if (args[0]) {
+      try {
+        sessionObj.settings.set(jid, { maxWarnings: args[0] });
+      } catch (e) {
+        await say(t('maxwarn.usage', { error: e.message }));
+        return;
+      }
+    }
+    await say(t('maxwarn.status', { max: sessionObj.settings.get(jid).maxWarnings }));
+  }
+};
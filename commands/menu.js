@@ -0,0 +1,9 @@
+// .menu — send the command list (built from the registry)
+module.exports = {
+  name: 'menu',
+  aliases: ['d'],
+  usage: 'Menu',
+  async run({ sessionObj, jid, brand, reply, registry }) {
+    await reply(registry.buildMenuText(brand, sessionObj.settings.get(jid).prefix));
+  }
+};
@@ -0,0 +1,11 @@
+// .notifrole | .notifrole off — announce promotions and demotions
+module.exports = {
+  name: 'notifrole',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Notifrole | {prefix}notifrole off',
+  async run({ sessionObj, jid, argText, say, t }) {
+    const { roleNotices } = sessionObj.settings.set(jid, { roleNotices: !(argText && argText.toLowerCase() === 'off') });
+    await say(t('notifrole.status', { state: roleNotices ? 'ON' : 'OFF' }));
+  }
+};
@@ -0,0 +1,10 @@
+// .ouvert — everyone can send messages again
+module.exports = {
+  name: 'ouvert',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Ouvert',
+  async run({ sock, log, jid, audit, say, t }) {
+    try { await sock.groupSettingUpdate(jid, 'not_announcement'); audit('open', []); await say(t('ouvert.done')); } catch(e){ log.error({ err: e }, 'ouvert error'); audit('open', [], e); await say(t('ouvert.failed')); }
+  }
+};
@@ -0,0 +1,41 @@
+// .perm [command role|reset] — who may run a command here: the group's rule
+// in a group, the session-wide rule in a private chat.
+// Nobody can change a command they couldn't run, nor require a role above their own.
+const { ROLES, hasRole, requiredRole } = require('../lib/permissions');
+
+module.exports = {
+  name: 'perm',
+  role: 'sudo',
+  usage: 'Perm [command member | admin | sudo | owner | reset]',
+  async run({ sessionObj, jid, isGroup, role, args, registry, say, t }) {
+    const { settings } = sessionObj;
+    const rules = (isGroup ? settings.get(jid).commandRoles : settings.getSession().commandRoles) || {};
+
+    if (!args.length) {
+      const names = Object.keys(rules);
+      if (!names.length) await say(t('perm.none'));
+      else await say(t('perm.list', { list: names.map(name => `${name}: ${t(`role.${rules[name]}`)}`).join('\n') }));
+      return;
+    }
+
+    const command = registry.getCommand(args[0]);
+    const wanted = (args[1] || '').toLowerCase();
+    if (!command || !(ROLES.includes(wanted) || wanted === 'reset')) {
+      await say(t('perm.usage', { roles: ROLES.join(' | ') }));
+      return;
+    }
+    if (!hasRole(role, requiredRole(command, settings, jid)) || (wanted !== 'reset' && !hasRole(role, wanted))) {
+      await say(t('perm.denied'));
+      return;
+    }
+
+    const next = { ...rules };
+    if (wanted === 'reset') delete next[command.name];
+    else next[command.name] = wanted;
+    if (isGroup) settings.set(jid, { commandRoles: next });
+    else settings.setSession({ commandRoles: next });
+
+    const effective = requiredRole(command, settings, jid);
+    await say(t('perm.set', { command: command.name, role: t(`role.${effective}`) }));
+  }
+};
@@ -0,0 +1,14 @@
+// .promote @number | reply — give admin rights
+module.exports = {
+  name: 'promote',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Promote @number | reply',
+  async run({ sock, log, jid, resolveTargetIds, audit, say, t }) {
+    const targets = resolveTargetIds();
+    if (!targets.length) { await say(t('promote.usage')); return; }
+    for (const target of targets) {
+      try { await sock.groupParticipantsUpdate(jid, [target], 'promote'); audit('promote', [target]); } catch (e) { log.error({ err: e, target }, 'promote error'); audit('promote', [target], e); await say(t('promote.failed', { user: target.split('@')[0] })); }
+    }
+  }
+};
@@ -0,0 +1,20 @@
+// .qr [text] — generate a QR code image for the text
+const QRCode = require('qrcode');
+
+module.exports = {
+  name: 'qr',
+  usage: 'Qr [text]',
+  async run({ sock, log, jid, argText, brand, say, t }) {
+    if (!argText) {
+      await say(t('qr.usage'));
+      return;
+    }
+    try {
+      const buf = await QRCode.toBuffer(argText);
+      await sock.sendMessage(jid, { image: buf, caption: brand.render(argText) });
+    } catch (e) {
+      log.error({ err: e }, 'qr gen error');
+      await say(t('qr.failed'));
+    }
+  }
+};
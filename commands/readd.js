@@ -0,0 +1,34 @@
+// .readd — try to add back the members removed by the last kickall
+const { loadRemoved, markRestored } = require('../lib/kickallHistory');
+
+module.exports = {
+  name: 'readd',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Readd',
+  async run({ sock, sessionObj, log, jid, audit, say, t }) {
+    const last = loadRemoved(sessionObj.dir, jid);
+    if (!last || last.restoredAt || !last.removed.length) {
+      await say(t('readd.none'));
+      return;
+    }
+    await say(t('readd.started', { count: last.removed.length }));
+    let added = 0;
+    let failed = 0;
+    await sessionObj.queue.withPriority('low', async () => {
+      for (const id of last.removed) {
+        try {
+          await sock.groupParticipantsUpdate(jid, [id], 'add');
+          audit('add', [id]);
+          added += 1;
+        } catch (e) {
+          log.error({ err: e, target: id }, 'readd error');
+          audit('add', [id], e);
+          failed += 1;
+        }
+      }
+    });
+    markRestored(sessionObj.dir, jid);
+    await say(t('readd.summary', { added, failed }));
+  }
+};
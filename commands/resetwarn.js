@@ -0,0 +1,27 @@
+// .resetwarn @user | number | all — clear automatic moderation warnings
+module.exports = {
+  name: 'resetwarn',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Resetwarn @number | all',
+  async run({ sessionObj, jid, args, resolveTargetIds, audit, say, t }) {
+    if ((args[0] || '').toLowerCase() === 'all') {
+      sessionObj.warnings.reset(jid);
+      audit('resetwarn', []);
+      await say(t('resetwarn.all'));
+      return;
+    }
+    const ids = resolveTargetIds();
+    if (!ids.length) {
+      await say(t('resetwarn.usage'));
+      return;
+    }
+    const lines = ids.map(id => {
+      const { count } = sessionObj.warnings.get(jid, id);
+      sessionObj.warnings.reset(jid, id);
+      return t('resetwarn.done', { user: id.split('@')[0], count });
+    });
+    audit('resetwarn', ids);
+    await say(lines.join('\n'));
+  }
+};
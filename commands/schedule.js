@@ -0,0 +1,72 @@
+// .schedule <open|close|message|hidetag> <min> <hour> <day> <month> <weekday> [text]
+// .schedule [list] | .schedule remove <id> — cron schedules for this group
+// e.g. `.schedule close 0 22 * * *` then `.schedule open 0 7 * * *`
+const { SCHEDULE_ACTIONS } = require('../lib/schedules');
+
+const CRON_FIELDS = 5;
+// "<action> <5 cron fields> [text]"
+const ADD_PATTERN = new RegExp(`^\\s*\\S+((?:\\s+\\S+){${CRON_FIELDS}})\\s*([\\s\\S]*)$`);
+
+// dd/mm/yyyy hh:mm in the schedule's timezone
+function formatNext(ts, timezone) {
+  if (!ts) return '-';
+  return new Date(ts).toLocaleString('en-GB', { timeZone: timezone, dateStyle: 'short', timeStyle: 'short' });
+}
+
+module.exports = {
+  name: 'schedule',
+  aliases: ['programme'],
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Schedule open | close | message | hidetag <cron> [text]',
+  async run({ sessionObj, jid, sender, cmd, args, textRaw, audit, say, t }) {
+    const store = sessionObj.schedules;
+    const sub = (args[0] || '').toLowerCase();
+
+    if (!sub || sub === 'list') {
+      const list = store.list(jid);
+      if (!list.length) {
+        await say(t('schedule.empty'));
+        return;
+      }
+      const lines = list.map(s => t('schedule.line', {
+        id: s.id,
+        action: s.action,
+        cron: s.cron,
+        timezone: s.timezone,
+        next: formatNext(s.nextRunAt, s.timezone),
+        text: s.text ? ` — ${s.text.slice(0, 40)}` : ''
+      }));
+      await say(`${t('schedule.header', { count: list.length })}\n${lines.join('\n')}`);
+      return;
+    }
+
+    if (sub === 'remove' || sub === 'del') {
+      const id = (args[1] || '').toLowerCase();
+      const s = store.get(id);
+      if (!s || s.group !== jid) {
+        await say(t('schedule.unknown', { id }));
+        return;
+      }
+      store.remove(id);
+      audit('unschedule', []);
+      await say(t('schedule.removed', { id }));
+      return;
+    }
+
+    if (!SCHEDULE_ACTIONS.includes(sub) || args.length < 1 + CRON_FIELDS) {
+      await say(t('schedule.usage', { actions: SCHEDULE_ACTIONS.join(' | ') }));
+      return;
+    }
+    // text is everything after the cron fields, taken from the raw message to keep line breaks
+    const rest = textRaw.slice(textRaw.toLowerCase().indexOf(cmd) + cmd.length);
+    const match = rest.match(ADD_PATTERN);
+    try {
+      const s = store.add({ group: jid, action: sub, cron: match[1], text: match[2], createdBy: sender });
+      audit('schedule', []);
+      await say(t('schedule.added', { id: s.id, action: s.action, cron: s.cron, timezone: s.timezone, next: formatNext(s.nextRunAt, s.timezone) }));
+    } catch (e) {
+      await say(t('schedule.invalid', { error: e.message }));
+    }
+  }
+};
@@ -0,0 +1,24 @@
+// .sticker (reply to an image, or as its caption) — turn the image into a WebP sticker
+const { findMedia, downloadMedia, toSticker, MEDIA_MAX_MB } = require('../lib/media');
+
+module.exports = {
+  name: 'sticker',
+  aliases: ['s', 'stiker'],
+  usage: 'Sticker    (reply)',
+  async run({ sock, log, jid, msg, m, say, t }) {
+    const media = findMedia({ msg, m, jid });
+    const isImage = media && (media.type === 'imageMessage' || (media.type === 'documentMessage' && /^image\//.test(media.content.mimetype || '')));
+    if (!isImage) {
+      await say(t('sticker.usage'));
+      return;
+    }
+    try {
+      const sticker = await toSticker(await downloadMedia(sock, media));
+      await sock.sendMessage(jid, { sticker });
+    } catch (e) {
+      if (e.code === 'TOO_LARGE') return say(t('media.tooLarge', { max: MEDIA_MAX_MB }));
+      log.error({ err: e }, 'sticker error');
+      await say(t('media.failed'));
+    }
+  }
+};
@@ -0,0 +1,28 @@
+// .sudo [add|remove @user|number] — users with sudo rights on every chat of the session
+const { listed } = require('../lib/permissions');
+
+module.exports = {
+  name: 'sudo',
+  role: 'owner',
+  usage: 'Sudo add | remove @number',
+  async run({ sessionObj, args, resolveTargetIds, say, t }) {
+    const sub = (args[0] || '').toLowerCase();
+    const current = sessionObj.settings.getSession().sudo;
+
+    if (!sub || sub === 'list') {
+      if (!current.length) await say(t('sudo.empty'));
+      else await say(t('sudo.list', { list: current.map(id => id.split('@')[0]).join('\n') }));
+      return;
+    }
+    const ids = resolveTargetIds();
+    if (!['add', 'remove'].includes(sub) || !ids.length) {
+      await say(t('sudo.usage'));
+      return;
+    }
+    const next = sub === 'add'
+      ? Array.from(new Set([...current, ...ids]))
+      : current.filter(id => !listed(ids, id));
+    const { sudo } = sessionObj.settings.setSession({ sudo: next });
+    await say(t('sudo.updated', { count: sudo.length }));
+  }
+};
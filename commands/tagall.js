@@ -0,0 +1,17 @@
+// .tagall — mention every participant of the group
+module.exports = {
+  name: 'tagall',
+  aliases: ['tg'],
+  groupOnly: true,
+  usage: 'Tagall',
+  async run({ sessionObj, log, jid, brand, say, t }) {
+    try {
+      const ids = (await sessionObj.groups.participants(jid)).map(p => p.id);
+      const list = ids.map((id,i) => `${i===0 ? '●' : '○'}@${id.split('@')[0]}`).join('\n');
+      await say(`${list}\n${brand.tagFooter}`, { mentions: ids });
+    } catch (e) {
+      log.error({ err: e }, 'tagall error');
+      await say(t('tagall.failed'));
+    }
+  }
+};
@@ -0,0 +1,37 @@
+// .template <add|remove|promote|demote> [text|reset] — show or change a member notice
+// .template photo on|off — use the member's profile picture as the notice image
+// Placeholders: {user} {group} {desc} {count} {author}
+const { NOTICES } = require('../lib/participantNotices');
+
+module.exports = {
+  name: 'template',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Template add | remove | promote | demote [text | reset]',
+  async run({ sessionObj, jid, cmd, args, textRaw, say, t }) {
+    const event = (args[0] || '').toLowerCase();
+    if (event === 'photo') {
+      const wanted = (args[1] || '').toLowerCase();
+      if (wanted === 'on' || wanted === 'off') sessionObj.settings.set(jid, { noticePicture: wanted === 'on' });
+      await say(t('template.photo', { state: sessionObj.settings.get(jid).noticePicture ? 'ON' : 'OFF' }));
+      return;
+    }
+    const notice = NOTICES[event];
+    if (!notice) {
+      await say(t('template.usage', { events: Object.keys(NOTICES).join(' | ') }));
+      return;
+    }
+
+    // take the raw text after the event word so the template keeps its line breaks
+    const lower = textRaw.toLowerCase();
+    const text = textRaw.slice(lower.indexOf(event, lower.indexOf(cmd) + cmd.length) + event.length).trim();
+    if (!text) {
+      const current = sessionObj.settings.get(jid)[notice.template] || t(notice.fallback);
+      await say(t('template.current', { event, template: current }));
+      return;
+    }
+    const reset = text.toLowerCase() === 'reset';
+    sessionObj.settings.set(jid, { [notice.template]: reset ? '' : text });
+    await say(t(reset ? 'template.reset' : 'template.set', { event }));
+  }
+};
@@ -0,0 +1,23 @@
+// .toimg (reply to a sticker) — send the sticker back as an image
+const { findMedia, downloadMedia, stickerToImage, MEDIA_MAX_MB } = require('../lib/media');
+
+module.exports = {
+  name: 'toimg',
+  aliases: ['toimage'],
+  usage: 'Toimg    (reply)',
+  async run({ sock, log, jid, msg, m, say, t }) {
+    const media = findMedia({ msg, m, jid });
+    if (!media || media.type !== 'stickerMessage') {
+      await say(t('toimg.usage'));
+      return;
+    }
+    try {
+      const image = await stickerToImage(await downloadMedia(sock, media));
+      await sock.sendMessage(jid, { image });
+    } catch (e) {
+      if (e.code === 'TOO_LARGE') return say(t('media.tooLarge', { max: MEDIA_MAX_MB }));
+      log.error({ err: e }, 'toimg error');
+      await say(t('media.failed'));
+    }
+  }
+};
@@ -0,0 +1,18 @@
+// .unban @user|number — answer someone's commands again
+const { listed } = require('../lib/permissions');
+
+module.exports = {
+  name: 'unban',
+  role: 'owner',
+  usage: 'Unban @number',
+  async run({ sessionObj, resolveTargetIds, say, t }) {
+    const ids = resolveTargetIds();
+    if (!ids.length) {
+      await say(t('unban.usage'));
+      return;
+    }
+    const current = sessionObj.settings.getSession().banned;
+    const { banned } = sessionObj.settings.setSession({ banned: current.filter(id => !listed(ids, id)) });
+    await say(t('unban.done', { users: ids.map(id => id.split('@')[0]).join(', '), count: banned.length }));
+  }
+};
@@ -0,0 +1,27 @@
+// .vv (reply to a view-once photo, video or voice note) — send it again as a normal message
+const { findMedia, downloadMedia, MEDIA_MAX_MB } = require('../lib/media');
+
+module.exports = {
+  name: 'vv',
+  aliases: ['reveal'],
+  role: 'admin',
+  usage: 'Vv    (reply)',
+  async run({ sock, log, jid, msg, m, say, t }) {
+    const media = findMedia({ msg, m, jid });
+    if (!media || !media.viewOnce || !['imageMessage', 'videoMessage', 'audioMessage'].includes(media.type)) {
+      await say(t('vv.usage'));
+      return;
+    }
+    try {
+      const buf = await downloadMedia(sock, media);
+      const caption = media.content.caption || undefined;
+      if (media.type === 'imageMessage') await sock.sendMessage(jid, { image: buf, caption });
+      else if (media.type === 'videoMessage') await sock.sendMessage(jid, { video: buf, caption });
+      else await sock.sendMessage(jid, { audio: buf, mimetype: media.content.mimetype, ptt: !!media.content.ptt });
+    } catch (e) {
+      if (e.code === 'TOO_LARGE') return say(t('media.tooLarge', { max: MEDIA_MAX_MB }));
+      log.error({ err: e }, 'vv error');
+      await say(t('media.failed'));
+    }
+  }
+};
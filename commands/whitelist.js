@@ -0,0 +1,29 @@
+// .whitelist [add|remove @user|number] — members kickall never removes
+const { listed } = require('../lib/permissions');
+
+module.exports = {
+  name: 'whitelist',
+  groupOnly: true,
+  role: 'admin',
+  usage: 'Whitelist add | remove @number',
+  async run({ sessionObj, jid, args, resolveTargetIds, say, t }) {
+    const sub = (args[0] || '').toLowerCase();
+    const current = sessionObj.settings.get(jid).kickallWhitelist;
+
+    if (!sub || sub === 'list') {
+      if (!current.length) await say(t('whitelist.empty'));
+      else await say(t('whitelist.list', { list: current.map(id => id.split('@')[0]).join('\n') }));
+      return;
+    }
+    const ids = resolveTargetIds();
+    if (!['add', 'remove'].includes(sub) || !ids.length) {
+      await say(t('whitelist.usage'));
+      return;
+    }
+    const next = sub === 'add'
+      ? [...current, ...ids.filter(id => !listed(current, id))]
+      : current.filter(id => !listed(ids, id));
+    const { kickallWhitelist } = sessionObj.settings.set(jid, { kickallWhitelist: next });
+    await say(t('whitelist.updated', { count: kickallWhitelist.length }));
+  }
+};
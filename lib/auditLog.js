@@ -0,0 +1,98 @@
+// Group moderation audit log
+// Append-only JSON lines in <auth folder>/audit.jsonl, one entry per action and target:
+// { id, at, actor, group, command, action, targets, result: 'success' | 'error', error }
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'audit' });
+
+const MAX_ENTRIES = parseInt(process.env.AUDIT_MAX_ENTRIES || '10000', 10);
+const CSV_COLUMNS = ['id', 'at', 'actor', 'group', 'command', 'action', 'targets', 'result', 'error'];
+
+// one log per auth folder, shared by the running session and the API
+const logs = new Map();
+
+function csvCell(value) {
+  const v = Array.isArray(value) ? value.join(' ') : (value == null ? '' : String(value));
+  return /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+function toCsv(entries) {
+  const rows = entries.map(e => CSV_COLUMNS.map(c => csvCell(c === 'at' ? new Date(e.at).toISOString() : e[c])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function createAuditLog(dir) {
+  const file = path.join(dir, 'audit.jsonl');
+  let count = null;
+
+  function readAll() {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+      try { return JSON.parse(line); } catch (e) { return null; }
+    }).filter(Boolean);
+  }
+
+  // keep the file bounded: drop the oldest entries once we're 10% over the limit
+  function trim() {
+    if (count == null) count = readAll().length;
+    if (count <= MAX_ENTRIES * 1.1) return;
+    const kept = readAll().slice(-MAX_ENTRIES);
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, kept.map(e => JSON.stringify(e)).join('\n') + '\n');
+    fs.renameSync(tmp, file);
+    count = kept.length;
+  }
+
+  function record({ actor, group, command, action, targets, error }) {
+    const entry = {
+      id: uuidv4(),
+      at: Date.now(),
+      actor: actor || null,
+      group: group || null,
+      command: command || null,
+      action,
+      targets: targets || [],
+      result: error ? 'error' : 'success',
+      error: error ? String(error.message || error) : null
+    };
+    if (!fs.existsSync(dir)) return entry;
+    try {
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+      if (count != null) count += 1;
+      trim();
+    } catch (e) {
+      log.error({ err: e, file }, 'failed to write audit entry');
+    }
+    return entry;
+  }
+
+  // newest first; page is 1-based
+  function query({ group, page = 1, pageSize = 50 } = {}) {
+    let entries = readAll().reverse();
+    if (group) entries = entries.filter(e => e.group === group);
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 500);
+    const p = Math.max(parseInt(page, 10) || 1, 1);
+    return { total: entries.length, page: p, pageSize: size, entries: entries.slice((p - 1) * size, p * size) };
+  }
+
+  function all({ group } = {}) {
+    const entries = readAll();
+    return group ? entries.filter(e => e.group === group) : entries;
+  }
+
+  return { record, query, all };
+}
+
+function getAuditLog(dir) {
+  if (!logs.has(dir)) logs.set(dir, createAuditLog(dir));
+  return logs.get(dir);
+}
+
+function dropAuditLog(dir) {
+  logs.delete(dir);
+}
+
+module.exports = { getAuditLog, dropAuditLog, toCsv };
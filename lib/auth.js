@@ -0,0 +1,38 @@
+// API token auth shared by the REST API and the socket.io dashboard
+// Token comes from API_TOKEN; without it a random token is generated at boot
+// and printed once so a fresh deploy is never left open.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const API_TOKEN = process.env.API_TOKEN || crypto.randomBytes(24).toString('hex');
+if (!process.env.API_TOKEN) {
+  logger.warn(`API_TOKEN not set — generated a token for this run: ${API_TOKEN}`);
+}
+
+function isValidToken(token) {
+  if (!token || typeof token !== 'string') return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(API_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function tokenFromRequest(req) {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+  return req.get('x-api-token') || null;
+}
+
+// express middleware
+function requireToken(req, res, next) {
+  if (isValidToken(tokenFromRequest(req))) return next();
+  res.status(401).json({ error: 'unauthorized' });
+}
+
+// socket.io middleware: io({ auth: { token } }) on the client
+function socketAuth(socket, next) {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (isValidToken(token)) return next();
+  next(new Error('unauthorized'));
+}
+
+module.exports = { isValidToken, requireToken, socketAuth };
@@ -0,0 +1,159 @@
+// Auth state storage (Baileys creds + signal keys), one namespace per auth folder
+// AUTH_STORE=fs      (default) the files useMultiFileAuthState writes in sessions/auth_infoN
+// AUTH_STORE=sqlite  every session in one SQLite file (AUTH_SQLITE_PATH, default sessions/auth.db);
+//                    put it on a persistent disk and logins survive deploys on ephemeral hosts
+// meta.json, settings and logs stay in the session folder with either backend.
+// Entries are named like useMultiFileAuthState's files ("creds", "pre-key-12", "session-509xxx.0"),
+// so dump() / restore() move auth state between backends and servers (lib/sessionBundle.js).
+const fs = require('fs');
+const path = require('path');
+const { useMultiFileAuthState, initAuthCreds, BufferJSON, proto } = require('baileys');
+const { SESSIONS_BASE, listAuthFolders, AUTH_FILE_RE, clearAuthCreds } = require('./sessionFolders');
+
+const AUTH_STORE = process.env.AUTH_STORE || 'fs';
+const AUTH_SQLITE_PATH = process.env.AUTH_SQLITE_PATH || path.join(SESSIONS_BASE, 'auth.db');
+
+// same file names as useMultiFileAuthState ("/" and ":" are not allowed in them)
+const entryName = (type, id) => `${type}-${id}`.replace(/\//g, '__').replace(/:/g, '-');
+
+const accountOf = (creds) => (creds && creds.me && creds.me.id) || null;
+
+// files in sessions/auth_infoN (what the bot has always used)
+function createFsBackend() {
+  const dirOf = folderName => path.join(SESSIONS_BASE, folderName);
+
+  function readCreds(folderName) {
+    try { return JSON.parse(fs.readFileSync(path.join(dirOf(folderName), 'creds.json'), 'utf8'), BufferJSON.reviver); } catch (e) { return null; }
+  }
+
+  function dump(folderName) {
+    const dir = dirOf(folderName);
+    const entries = {};
+    if (!fs.existsSync(dir)) return entries;
+    for (const n of fs.readdirSync(dir).filter(f => AUTH_FILE_RE.test(f))) {
+      entries[n.slice(0, -'.json'.length)] = fs.readFileSync(path.join(dir, n), 'utf8');
+    }
+    return entries;
+  }
+
+  function restore(folderName, entries) {
+    const dir = dirOf(folderName);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    for (const [name, value] of Object.entries(entries)) {
+      if (!AUTH_FILE_RE.test(`${name}.json`) || path.basename(name) !== name) throw new Error(`invalid auth entry: ${name}`);
+      fs.writeFileSync(path.join(dir, `${name}.json`), value);
+    }
+  }
+
+  return {
+    name: 'fs',
+    load: folderName => useMultiFileAuthState(dirOf(folderName)),
+    account: folderName => accountOf(readCreds(folderName)),
+    clear: folderName => clearAuthCreds(dirOf(folderName)),
+    folders: () => listAuthFolders(),
+    dump,
+    restore
+  };
+}
+
+// one table for every session: (folder, name) -> JSON (BufferJSON encoded)
+function createSqliteBackend(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3'); // optional dependency, only needed with AUTH_STORE=sqlite
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    throw new Error('AUTH_STORE=sqlite needs the optional better-sqlite3 package (npm install better-sqlite3)');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS auth (folder TEXT NOT NULL, name TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (folder, name))');
+  const q = {
+    get: db.prepare('SELECT value FROM auth WHERE folder = ? AND name = ?'),
+    put: db.prepare('INSERT INTO auth (folder, name, value) VALUES (?, ?, ?) ON CONFLICT (folder, name) DO UPDATE SET value = excluded.value'),
+    del: db.prepare('DELETE FROM auth WHERE folder = ? AND name = ?'),
+    clear: db.prepare('DELETE FROM auth WHERE folder = ?'),
+    all: db.prepare('SELECT name, value FROM auth WHERE folder = ?'),
+    folders: db.prepare('SELECT DISTINCT folder FROM auth WHERE name = \'creds\'')
+  };
+
+  function read(folderName, name) {
+    const row = q.get.get(folderName, name);
+    if (!row) return null;
+    try { return JSON.parse(row.value, BufferJSON.reviver); } catch (e) { return null; }
+  }
+
+  const write = (folderName, name, value) => q.put.run(folderName, name, JSON.stringify(value, BufferJSON.replacer));
+
+  // same contract as useMultiFileAuthState: { state: { creds, keys }, saveCreds }
+  async function load(folderName) {
+    const creds = read(folderName, 'creds') || initAuthCreds();
+    const setKeys = db.transaction((data) => {
+      for (const type of Object.keys(data)) {
+        for (const id of Object.keys(data[type])) {
+          const value = data[type][id];
+          if (value) write(folderName, entryName(type, id), value);
+          else q.del.run(folderName, entryName(type, id));
+        }
+      }
+    });
+    return {
+      state: {
+        creds,
+        keys: {
+          get: async (type, ids) => {
+            const data = {};
+            for (const id of ids) {
+              let value = read(folderName, entryName(type, id));
+              if (type === 'app-state-sync-key' && value) value = proto.Message.AppStateSyncKeyData.fromObject(value);
+              data[id] = value;
+            }
+            return data;
+          },
+          set: async (data) => setKeys(data)
+        }
+      },
+      saveCreds: async () => { write(folderName, 'creds', creds); }
+    };
+  }
+
+  function dump(folderName) {
+    const entries = {};
+    for (const row of q.all.all(folderName)) entries[row.name] = row.value;
+    return entries;
+  }
+
+  const restore = db.transaction((folderName, entries) => {
+    q.clear.run(folderName);
+    for (const [name, value] of Object.entries(entries)) q.put.run(folderName, name, value);
+  });
+
+  return {
+    name: 'sqlite',
+    load,
+    account: folderName => accountOf(read(folderName, 'creds')),
+    clear: folderName => q.clear.run(folderName).changes,
+    folders: () => q.folders.all().map(r => r.folder),
+    dump,
+    restore
+  };
+}
+
+let store = null;
+
+/**
+ * getAuthStore — the process-wide backend picked by AUTH_STORE
+ * load(folder) -> { state, saveCreds } for makeWASocket; account(folder) -> linked WhatsApp id or null;
+ * clear(folder) drops creds + keys; folders() lists folders with stored creds;
+ * dump(folder) / restore(folder, entries) copy the raw entries ({ name: json })
+ */
+function getAuthStore() {
+  if (store) return store;
+  if (AUTH_STORE === 'sqlite') store = createSqliteBackend(AUTH_SQLITE_PATH);
+  else if (AUTH_STORE === 'fs') store = createFsBackend();
+  else throw new Error(`AUTH_STORE must be fs or sqlite (got ${AUTH_STORE})`);
+  return store;
+}
+
+module.exports = { getAuthStore, createFsBackend, createSqliteBackend };
@@ -0,0 +1,86 @@
+// Branding profiles
+// The `profile` chosen in create_session (stored in meta.json) selects a profile
+// from branding/profiles.json (or BRANDING_FILE). Missing fields fall back to the
+// default profile below. `image` may be a URL or a file path relative to the
+// profiles file.
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'branding' });
+
+const BRANDING_FILE = process.env.BRANDING_FILE || path.join(__dirname, '..', 'branding', 'profiles.json');
+
+const DEFAULT_PROFILE = {
+  botName: "Adam_D'H7",
+  ownerName: 'Santana',
+  version: '1.0.0',
+  image: 'https://res.cloudinary.com/dckwrqrur/image/upload/v1756264264/tf-stream-url/IMG-20250826-WA0000_ymn2wa.jpg',
+  footer: "> © D'H7 : Tergene",
+  tagFooter: ">》》 》》》 》》D'H7:Tergene",
+  menuTemplate: `Owner: {owner}
+Version: {version}
+Type: Node.js
+_____________________________
+{commands}
+
+{footer}`
+};
+
+let cache = null;
+
+function loadProfiles() {
+  if (cache) return cache;
+  cache = {};
+  if (fs.existsSync(BRANDING_FILE)) {
+    try {
+      cache = JSON.parse(fs.readFileSync(BRANDING_FILE, 'utf8')) || {};
+    } catch (e) {
+      log.error({ err: e, file: BRANDING_FILE }, 'failed to read branding');
+    }
+  }
+  return cache;
+}
+
+function isUrl(value) {
+  return /^https?:\/\//i.test(String(value || ''));
+}
+
+// replace {placeholders}; unknown ones are left as-is
+function fill(template, vars) {
+  return String(template || '').replace(/\{(\w+)\}/g, (all, k) => (vars[k] != null ? String(vars[k]) : all));
+}
+
+function getBranding(profileName) {
+  const profiles = loadProfiles();
+  const profile = { ...DEFAULT_PROFILE, ...(profiles.default || {}), ...(profiles[profileName] || {}) };
+
+  const image = isUrl(profile.image)
+    ? { url: profile.image }
+    : { file: path.resolve(path.dirname(BRANDING_FILE), profile.image) };
+
+  return {
+    name: profiles[profileName] ? profileName : 'default',
+    ...profile,
+    image,
+    // reply body with the bot name header: "*Bot*\n<body>"
+    render(body) {
+      return `*${profile.botName}*\n${body}`;
+    },
+    menu(commandLines) {
+      return fill(profile.menuTemplate, {
+        owner: profile.ownerName,
+        botName: profile.botName,
+        version: profile.version,
+        footer: profile.footer,
+        commands: commandLines
+      });
+    }
+  };
+}
+
+function listProfiles() {
+  return Object.keys(loadProfiles()).filter(n => n !== 'default');
+}
+
+module.exports = { DEFAULT_PROFILE, getBranding, listProfiles, fill };
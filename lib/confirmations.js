@@ -0,0 +1,46 @@
+// Pending confirmations for destructive commands (e.g. kickall)
+// A command registers what to run; the same sender confirms with .confirm in the
+// same chat before it expires, or drops it with .cancel.
+const DEFAULT_TTL_MS = parseInt(process.env.CONFIRM_TIMEOUT_MS || '60000', 10);
+
+function createConfirmations() {
+  // chat jid -> { sender, action, run, expiresAt, timer }
+  const pending = new Map();
+
+  function clear(jid) {
+    const p = pending.get(jid);
+    if (p) clearTimeout(p.timer);
+    pending.delete(jid);
+    return p || null;
+  }
+
+  // onExpire is called if nobody confirms in time
+  function request(jid, sender, { action, run, onExpire, ttl = DEFAULT_TTL_MS }) {
+    clear(jid);
+    const timer = setTimeout(() => {
+      pending.delete(jid);
+      if (onExpire) Promise.resolve(onExpire()).catch(() => {});
+    }, ttl);
+    pending.set(jid, { sender, action, run, expiresAt: Date.now() + ttl, timer });
+    return ttl;
+  }
+
+  // returns the pending entry (and removes it) only for the sender who asked
+  function take(jid, sender) {
+    const p = pending.get(jid);
+    if (!p || p.sender !== sender || p.expiresAt < Date.now()) return null;
+    return clear(jid);
+  }
+
+  function has(jid) {
+    return pending.has(jid);
+  }
+
+  function clearAll() {
+    for (const jid of Array.from(pending.keys())) clear(jid);
+  }
+
+  return { request, take, cancel: (jid, sender) => take(jid, sender), has, clearAll };
+}
+
+module.exports = { createConfirmations, DEFAULT_TTL_MS };
@@ -0,0 +1,121 @@
+// Group metadata cache (per session)
+// Filled lazily from sock.groupMetadata and kept current from Baileys'
+// groups.upsert / groups.update / group-participants.update events.
+// Entries older than the TTL are fetched again on the next read, in case an event was missed.
+const TTL_MS = parseInt(process.env.GROUP_CACHE_TTL_MS || '300000', 10);
+
+// participants arrive as jids or as { id, admin, ... } depending on the Baileys version
+const participantId = p => (typeof p === 'string' ? p : p?.id) || null;
+
+/**
+ * createGroupCache
+ * - fetchMetadata: jid => Promise<GroupMetadata> (sock.groupMetadata)
+ * - fetchAll: () => Promise<{ [jid]: GroupMetadata }> (sock.groupFetchAllParticipating), for list()
+ */
+function createGroupCache({ fetchMetadata, fetchAll, ttl = TTL_MS }) {
+  const entries = new Map(); // jid -> { meta, fetchedAt }
+  const inflight = new Map(); // jid -> Promise, so parallel readers share one round-trip
+  let listedAt = 0; // last time every group was fetched at once
+  let generation = 0; // bumped by clear(): fetches started before it don't write back
+
+  function put(jid, meta) {
+    entries.set(jid, { meta, fetchedAt: Date.now() });
+    return meta;
+  }
+
+  // cached metadata while within the TTL (for Baileys' cachedGroupMetadata, which builds
+  // the recipient list of group sends from it); undefined makes Baileys fetch it again
+  function peek(jid) {
+    const e = entries.get(jid);
+    return e && Date.now() - e.fetchedAt < ttl ? e.meta : undefined;
+  }
+
+  async function get(jid, { refresh = false } = {}) {
+    const e = entries.get(jid);
+    if (e && !refresh && Date.now() - e.fetchedAt < ttl) return e.meta;
+    if (inflight.has(jid)) return inflight.get(jid);
+    const gen = generation;
+    const p = fetchMetadata(jid)
+      .then(meta => (gen === generation ? put(jid, meta) : meta))
+      .finally(() => { if (inflight.get(jid) === p) inflight.delete(jid); });
+    inflight.set(jid, p);
+    return p;
+  }
+
+  // every group the account is in: one round-trip per TTL, then the cache (kept current by events)
+  async function list({ refresh = false } = {}) {
+    if (fetchAll && (refresh || Date.now() - listedAt >= ttl)) {
+      const gen = generation;
+      const all = await fetchAll();
+      if (gen !== generation) return Object.values(all || {});
+      entries.clear();
+      upsert(Object.values(all || {}));
+      listedAt = Date.now();
+    }
+    return Array.from(entries.values()).map(e => e.meta);
+  }
+
+  async function participants(jid) {
+    return (await get(jid)).participants || [];
+  }
+
+  async function isAdmin(jid, id) {
+    try {
+      const p = (await participants(jid)).find(x => x.id === id);
+      return !!(p && p.admin);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async function isMember(jid, id) {
+    return (await participants(jid)).some(x => x.id === id);
+  }
+
+  // groups.upsert: full metadata for groups we just joined
+  function upsert(list) {
+    for (const meta of list || []) if (meta && meta.id) put(meta.id, meta);
+  }
+
+  // groups.update: partial metadata (subject, announce, restrict, desc...)
+  function update(list) {
+    for (const patch of list || []) {
+      const e = patch && entries.get(patch.id);
+      if (e) e.meta = { ...e.meta, ...patch };
+    }
+  }
+
+  // group-participants.update: { id, participants, action: add|remove|promote|demote }
+  function applyParticipants({ id, participants: changed, action }) {
+    const e = entries.get(id);
+    if (!e) return;
+    const ids = (changed || []).map(participantId).filter(Boolean);
+    let list = (e.meta.participants || []).slice();
+    if (action === 'add') {
+      for (const pid of ids) if (!list.some(x => x.id === pid)) list.push({ id: pid, admin: null });
+    } else if (action === 'remove') {
+      list = list.filter(x => !ids.includes(x.id));
+    } else if (action === 'promote' || action === 'demote') {
+      list = list.map(x => (ids.includes(x.id) ? { ...x, admin: action === 'promote' ? 'admin' : null } : x));
+    } else {
+      entries.delete(id); // unknown action: refetch on next read
+      return;
+    }
+    e.meta = { ...e.meta, participants: list, size: list.length };
+  }
+
+  function invalidate(jid) {
+    entries.delete(jid);
+  }
+
+  function clear() {
+    generation += 1;
+    entries.clear();
+    inflight.clear();
+    listedAt = 0;
+  }
+
+  return { get, peek, list, participants, isAdmin, isMember, upsert, update, applyParticipants, invalidate, clear };
+}
+
+module.exports = { createGroupCache, participantId };
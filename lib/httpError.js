@@ -0,0 +1,8 @@
+// Error carrying an HTTP status; the API error handler turns it into a JSON reply
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { httpError };
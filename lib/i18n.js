@@ -0,0 +1,21 @@
+// Reply catalog (locales/<lang>.js): keys -> strings with {placeholders}
+// Missing keys fall back to French, then to the key itself.
+const { fill } = require('./branding');
+
+const CATALOGS = {
+  fr: require('../locales/fr'),
+  ht: require('../locales/ht'),
+  en: require('../locales/en')
+};
+
+const LANGUAGES = Object.keys(CATALOGS);
+const FALLBACK_LANGUAGE = 'fr';
+
+function translate(lang, key, vars = {}) {
+  const catalog = CATALOGS[lang] || CATALOGS[FALLBACK_LANGUAGE];
+  const template = catalog[key] != null ? catalog[key] : CATALOGS[FALLBACK_LANGUAGE][key];
+  if (template == null) return key;
+  return fill(template, vars);
+}
+
+module.exports = { LANGUAGES, FALLBACK_LANGUAGE, translate };
@@ -0,0 +1,27 @@
+// Phone number / JID helpers
+
+// digits only, with country code (e.g. +509 3549-2574 -> 50935492574)
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/[^0-9]/g, '');
+  if (digits.length < 8 || digits.length > 15) throw new Error('phone must include the country code (8-15 digits)');
+  return digits;
+}
+
+// accept +509xxxxxxxx or 509xxxxxxxx or raw jid; null when nothing usable
+function toJid(value) {
+  const v = String(value || '').trim();
+  if (!v) return null;
+  if (v.includes('@')) return v;
+  const cleaned = v.replace(/[^0-9+]/g, '');
+  if (!cleaned) return null;
+  const noPlus = cleaned.startsWith('+') ? cleaned.slice(1) : cleaned;
+  if (!noPlus) return null;
+  return `${noPlus}@s.whatsapp.net`;
+}
+
+// "509xxx:12@s.whatsapp.net" -> "509xxx" (user part, device suffix dropped)
+function jidUser(jid) {
+  return String(jid || '').split('@')[0].split(':')[0];
+}
+
+module.exports = { normalizePhone, toJid, jidUser };
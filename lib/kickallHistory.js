@@ -0,0 +1,31 @@
+// Members removed by kickall, kept so .readd can try to bring them back
+// <auth folder>/kickall/<group id>.json: { at, by, removed: [jid], restoredAt }
+const fs = require('fs');
+const path = require('path');
+
+function fileFor(dir, group) {
+  return path.join(dir, 'kickall', `${group.replace(/[^0-9A-Za-z@._-]/g, '_')}.json`);
+}
+
+function saveRemoved(dir, group, { by, removed }) {
+  const file = fileFor(dir, group);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const entry = { at: Date.now(), by, removed, restoredAt: null };
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+function loadRemoved(dir, group) {
+  const file = fileFor(dir, group);
+  if (!fs.existsSync(file)) return null;
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { return null; }
+}
+
+function markRestored(dir, group) {
+  const entry = loadRemoved(dir, group);
+  if (!entry) return;
+  entry.restoredAt = Date.now();
+  fs.writeFileSync(fileFor(dir, group), JSON.stringify(entry, null, 2));
+}
+
+module.exports = { saveRemoved, loadRemoved, markRestored };
@@ -0,0 +1,31 @@
+// Structured logging (pino, JSON lines on stdout)
+// LOG_LEVEL         our own logs (default info)
+// BAILEYS_LOG_LEVEL Baileys' internal logs (default warn)
+// LOG_MESSAGE_BODIES=true keeps message text in the logs; by default text,
+// captions and raw message contents are replaced with "[redacted]".
+const pino = require('pino');
+
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const BAILEYS_LOG_LEVEL = process.env.BAILEYS_LOG_LEVEL || 'warn';
+const LOG_MESSAGE_BODIES = process.env.LOG_MESSAGE_BODIES === 'true';
+
+// fields that may carry what people wrote
+const REDACT_PATHS = ['text', 'caption', 'body', 'message', 'msg.message', 'messages[*].message', 'args'];
+
+const logger = pino({
+  level: LOG_LEVEL,
+  base: { pid: process.pid },
+  redact: LOG_MESSAGE_BODIES ? [] : { paths: REDACT_PATHS, censor: '[redacted]' }
+});
+
+// one child per session: every line carries sessionId and folder
+function sessionLogger(sessionId, folderName) {
+  return logger.child({ sessionId, folder: folderName });
+}
+
+// what Baileys gets as its logger, at its own level
+function baileysLogger(parent) {
+  return parent.child({ module: 'baileys' }, { level: BAILEYS_LOG_LEVEL });
+}
+
+module.exports = { logger, sessionLogger, baileysLogger };
@@ -0,0 +1,71 @@
+// Media helpers for commands: find the attached or quoted media, download it
+// through Baileys (with a size limit) and convert images <-> stickers locally with sharp.
+const pino = require('pino');
+const sharp = require('sharp');
+const { downloadMediaMessage } = require('baileys');
+const { MEDIA_TYPES, unwrapMessage } = require('./messageContent');
+
+// largest media we download, in MB (checked against the announced size, then the real one)
+const MEDIA_MAX_MB = parseInt(process.env.MEDIA_MAX_MB || '16', 10);
+// WhatsApp refuses static stickers above ~100 KB and animated ones above ~500 KB
+const STICKER_MAX_BYTES = 100 * 1024;
+const ANIMATED_STICKER_MAX_BYTES = 500 * 1024;
+const STICKER_SIZE = 512;
+
+const logger = pino({ level: 'silent' });
+
+function mediaError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function describe(key, m) {
+  const { message, viewOnce } = unwrapMessage(m);
+  const type = MEDIA_TYPES.find(x => message[x]);
+  if (!type) return null;
+  return { type, content: message[type], viewOnce, waMessage: { key, message } };
+}
+
+// media in the command message itself, else in the message it quotes
+function findMedia({ msg, m, jid }) {
+  const own = describe(msg.key, m);
+  if (own) return own;
+  const { message } = unwrapMessage(m);
+  const contextInfo = Object.values(message).find(v => v && typeof v === 'object' && v.contextInfo?.quotedMessage)?.contextInfo;
+  if (!contextInfo) return null;
+  const key = { remoteJid: jid, id: contextInfo.stanzaId, participant: contextInfo.participant, fromMe: false };
+  return describe(key, contextInfo.quotedMessage);
+}
+
+// buffer of the media; throws with code TOO_LARGE past MEDIA_MAX_MB
+async function downloadMedia(sock, media, maxMb = MEDIA_MAX_MB) {
+  const max = maxMb * 1024 * 1024;
+  if (Number(media.content.fileLength || 0) > max) throw mediaError('TOO_LARGE', `media larger than ${maxMb} MB`);
+  const buf = await downloadMediaMessage(media.waMessage, 'buffer', {}, { logger, reuploadRequest: sock.updateMediaMessage });
+  if (buf.length > max) throw mediaError('TOO_LARGE', `media larger than ${maxMb} MB`);
+  return buf;
+}
+
+// 512x512 WebP (transparent padding), quality lowered until WhatsApp accepts the size
+async function toSticker(buffer) {
+  const { pages = 1 } = await sharp(buffer).metadata();
+  const animated = pages > 1;
+  const limit = animated ? ANIMATED_STICKER_MAX_BYTES : STICKER_MAX_BYTES;
+  let out;
+  for (const quality of [80, 60, 40, 20]) {
+    out = await sharp(buffer, { animated })
+      .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .webp({ quality })
+      .toBuffer();
+    if (out.length <= limit) return out;
+  }
+  throw mediaError('TOO_LARGE', 'sticker still too large after compression');
+}
+
+// first frame of a sticker as PNG
+function stickerToImage(buffer) {
+  return sharp(buffer).png().toBuffer();
+}
+
+module.exports = { MEDIA_MAX_MB, MEDIA_TYPES, findMedia, downloadMedia, toSticker, stickerToImage };
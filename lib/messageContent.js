@@ -0,0 +1,37 @@
+// What a WhatsApp message actually says, under its envelopes
+// Disappearing chats wrap everything in ephemeralMessage, view-once media comes in
+// viewOnceMessage(V2/V2Extension), captioned documents in documentWithCaptionMessage.
+
+const MEDIA_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+
+// envelopes that only wrap the real content
+const WRAPPERS = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension', 'documentWithCaptionMessage'];
+const VIEW_ONCE = ['viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension'];
+
+// { message, viewOnce } with every wrapper removed
+function unwrapMessage(m) {
+  let message = m;
+  let viewOnce = false;
+  for (;;) {
+    const wrapper = message && WRAPPERS.find(key => message[key]?.message);
+    if (!wrapper) break;
+    if (VIEW_ONCE.includes(wrapper)) viewOnce = true;
+    message = message[wrapper].message;
+  }
+  if (message && MEDIA_TYPES.some(type => message[type]?.viewOnce)) viewOnce = true;
+  return { message: message || {}, viewOnce };
+}
+
+// text or caption of an unwrapped message ('' for anything else)
+function messageText(m) {
+  return String(
+    m.conversation ||
+    m.extendedTextMessage?.text ||
+    m.imageMessage?.caption ||
+    m.videoMessage?.caption ||
+    m.documentMessage?.caption ||
+    ''
+  ).trim();
+}
+
+module.exports = { MEDIA_TYPES, unwrapMessage, messageText };
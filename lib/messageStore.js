@@ -0,0 +1,164 @@
+// Message store (per session)
+// Append-only JSON lines under <auth folder>/messages/, one file per UTC day:
+//   messages/<YYYY-MM-DD>.jsonl  { id, chat, sender, pushName, fromMe, at, type, text, raw }
+//   messages/deletions.jsonl     { id, chat, by, at, original }
+// raw is the WAMessage serialized with Baileys' BufferJSON (kept so deleted media can be reposted).
+// Day files older than the retention are removed; deletions are trimmed to the same window.
+const fs = require('fs');
+const path = require('path');
+
+const RECENT_MAX = 5000; // messages kept in memory for quick lookups on revoke
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_FILE = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+
+// one store per auth folder, shared by the running session and the API
+const stores = new Map();
+
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+    try { return JSON.parse(line); } catch (e) { return null; }
+  }).filter(Boolean);
+}
+
+function createMessageStore(dir) {
+  const base = path.join(dir, 'messages');
+  const deletionsFile = path.join(base, 'deletions.jsonl');
+  const recent = new Map(); // "chat|id" -> entry, oldest first
+  let prunedDay = null;
+
+  function dayFiles() {
+    if (!fs.existsSync(base)) return [];
+    return fs.readdirSync(base).filter(f => DAY_FILE.test(f)).sort().reverse(); // newest first
+  }
+
+  function remember(entry) {
+    const key = `${entry.chat}|${entry.id}`;
+    recent.delete(key);
+    recent.set(key, entry);
+    if (recent.size > RECENT_MAX) recent.delete(recent.keys().next().value);
+  }
+
+  function append(file, entry) {
+    if (!fs.existsSync(dir)) return;
+    fs.mkdirSync(base, { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  }
+
+  const oldestDay = retentionDays => dayOf(Date.now() - retentionDays * DAY_MS);
+
+  // drop day files past the retention, at most once a day
+  function prune(retentionDays) {
+    const today = dayOf(Date.now());
+    if (prunedDay === today) return;
+    prunedDay = today;
+    const oldest = oldestDay(retentionDays);
+    for (const f of dayFiles()) {
+      if (f.slice(0, 10) < oldest) fs.rmSync(path.join(base, f), { force: true });
+    }
+    const kept = readLines(deletionsFile).filter(d => dayOf(d.at) >= oldest);
+    if (fs.existsSync(deletionsFile)) {
+      const tmp = deletionsFile + '.tmp';
+      fs.writeFileSync(tmp, kept.map(d => JSON.stringify(d)).join('\n') + (kept.length ? '\n' : ''));
+      fs.renameSync(tmp, deletionsFile);
+    }
+  }
+
+  // messages older than the retention (offline backlog) are not kept
+  function add(entry, { retentionDays }) {
+    prune(retentionDays);
+    if (dayOf(entry.at) < oldestDay(retentionDays)) return null;
+    remember(entry);
+    append(path.join(base, `${dayOf(entry.at)}.jsonl`), entry);
+    return entry;
+  }
+
+  // newest first, from memory then from the day files
+  function find(chat, id) {
+    const hit = recent.get(`${chat}|${id}`);
+    if (hit) return hit;
+    for (const f of dayFiles()) {
+      const found = readLines(path.join(base, f)).find(e => e.chat === chat && e.id === id);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // "delete for everyone": keep who deleted what, with the original if we had it
+  function recordDeletion({ chat, id, by, at }) {
+    const original = find(chat, id);
+    const entry = { id, chat, by: by || null, at: at || Date.now(), original };
+    append(deletionsFile, entry);
+    return entry;
+  }
+
+  function matches(e, { group, sender, text }) {
+    if (group && e.chat !== group) return false;
+    if (sender && !String(e.sender || '').startsWith(sender.replace(/^\+/, ''))) return false;
+    if (text && !String(e.text || '').toLowerCase().includes(text.toLowerCase())) return false;
+    return true;
+  }
+
+  // search by group, sender (number or jid prefix) and text; newest first, paged
+  // one day file at a time: only the requested page is kept, later matches are just counted
+  function search({ group, sender, text, page = 1, pageSize = 50 } = {}) {
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 200);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+    const from = (current - 1) * size;
+    const filters = { group, sender, text };
+    const unfiltered = !group && !sender && !text;
+    const entries = [];
+    let total = 0;
+    for (const f of dayFiles()) {
+      const lines = fs.readFileSync(path.join(base, f), 'utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        // page filled and nothing to test: every line is a match
+        if (unfiltered && total >= from + size) {
+          total += 1;
+          continue;
+        }
+        let e;
+        try { e = JSON.parse(lines[i]); } catch (err) { continue; }
+        if (!matches(e, filters)) continue;
+        if (total >= from && entries.length < size) {
+          const { raw, ...rest } = e;
+          entries.push(rest);
+        }
+        total += 1;
+      }
+    }
+    return { entries, total, page: current, pageSize: size };
+  }
+
+  function deletions({ group, sender, text, page = 1, pageSize = 50 } = {}) {
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 200);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+    // sender matches the author or whoever deleted it; text needs the original
+    const bySender = d => !sender || matches({ sender: d.by }, { sender }) || (d.original && matches(d.original, { sender }));
+    const found = readLines(deletionsFile)
+      .filter(d => (!group || d.chat === group) && bySender(d) && (!text || (d.original && matches(d.original, { text }))))
+      .reverse();
+    const entries = found.slice((current - 1) * size, current * size).map(d => {
+      if (!d.original) return d;
+      const { raw, ...original } = d.original;
+      return { ...d, original };
+    });
+    return { entries, total: found.length, page: current, pageSize: size };
+  }
+
+  return { add, find, recordDeletion, search, deletions, prune };
+}
+
+function getMessageStore(dir) {
+  if (!stores.has(dir)) stores.set(dir, createMessageStore(dir));
+  return stores.get(dir);
+}
+
+function dropMessageStore(dir) {
+  stores.delete(dir);
+}
+
+module.exports = { getMessageStore, dropMessageStore };
@@ -0,0 +1,59 @@
+// Process metrics in the Prometheus text format (served on GET /metrics)
+// Counters live as long as the process; gauges are read from collectors at scrape time.
+// Session labels use the auth folder name (stable across restarts, unlike socket state).
+
+const COUNTERS = {
+  wa_messages_received_total: 'Messages handled from messages.upsert',
+  wa_commands_total: 'Commands run, by command name',
+  wa_send_failures_total: 'Sends that failed for good (after rate-limit retries), by queue bucket',
+  wa_reconnects_total: 'Reconnects scheduled after a closed connection, by close reason'
+};
+
+const values = new Map(); // counter name -> Map(labelKey -> { labels, value })
+const collectors = []; // () => [{ name, help, type, samples: [{ labels, value }] }]
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function inc(name, labels = {}, by = 1) {
+  if (!COUNTERS[name]) throw new Error(`unknown metric: ${name}`);
+  if (!values.has(name)) values.set(name, new Map());
+  const series = values.get(name);
+  const key = labelKey(labels);
+  const current = series.get(key) || { labels, value: 0 };
+  current.value += by;
+  series.set(key, current);
+}
+
+// fn returns gauge families, called on every scrape
+function addCollector(fn) {
+  collectors.push(fn);
+}
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+function formatFamily({ name, help, type, samples }) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const s of samples) lines.push(formatSample(name, s.labels, s.value));
+  return lines.join('\n');
+}
+
+function render() {
+  const families = Object.entries(COUNTERS).map(([name, help]) => ({
+    name, help, type: 'counter', samples: Array.from((values.get(name) || new Map()).values())
+  }));
+  families.push(
+    { name: 'process_uptime_seconds', help: 'Seconds since the process started', type: 'gauge', samples: [{ value: Math.round(process.uptime()) }] },
+    { name: 'process_resident_memory_bytes', help: 'Resident memory size', type: 'gauge', samples: [{ value: process.memoryUsage().rss }] }
+  );
+  for (const collect of collectors) families.push(...collect());
+  return families.map(formatFamily).join('\n') + '\n';
+}
+
+module.exports = { inc, addCollector, render };
@@ -0,0 +1,138 @@
+// Automatic group moderation: invite links, flooding and banned words
+// Toggled per group in settings.json (antilink, antispam, badwords, ...).
+// Each violation deletes the message and warns the sender; after maxWarnings
+// warnings the sender is removed and their count starts over.
+// Group admins, sudo users and the owner are never moderated.
+const { translate } = require('./i18n');
+const { hasRole, resolveRole } = require('./permissions');
+const { jidUser } = require('./jid');
+
+// WhatsApp group invites and channel links
+const INVITE_LINK = /(?:https?:\/\/)?(?:chat\.whatsapp\.com\/[0-9A-Za-z]{6,}|(?:www\.)?whatsapp\.com\/channel\/[0-9A-Za-z]+)/i;
+
+// lowercase, accents stripped, words separated by single spaces (padded for whole-word matching)
+function normalizeWords(text) {
+  const words = String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return ` ${words.join(' ')} `;
+}
+
+function findBadWord(text, words) {
+  const haystack = normalizeWords(text);
+  return (words || []).find(w => {
+    const needle = normalizeWords(w);
+    return needle.trim() && haystack.includes(needle);
+  }) || null;
+}
+
+// how often users who went quiet are dropped from the tracker
+const FLOOD_SWEEP_MS = 60000;
+
+// messages per user per group inside a sliding window
+function createFloodTracker() {
+  const seen = new Map(); // "group|user" -> { times, windowMs }
+  let sweptAt = 0;
+
+  // forget keys whose last message is out of their window
+  function sweep(now) {
+    sweptAt = now;
+    for (const [key, e] of seen) {
+      if (now - e.times[e.times.length - 1] >= e.windowMs) seen.delete(key);
+    }
+  }
+
+  // true once the user sent more than max messages within windowSec
+  function hit(group, user, { max, windowSec }, now = Date.now()) {
+    if (now - sweptAt >= FLOOD_SWEEP_MS) sweep(now);
+    const key = `${group}|${user}`;
+    const windowMs = windowSec * 1000;
+    const times = (seen.has(key) ? seen.get(key).times : []).filter(ts => now - ts < windowMs);
+    times.push(now);
+    if (times.length > max) {
+      seen.delete(key); // start over so one burst is one violation
+      return true;
+    }
+    seen.set(key, { times, windowMs });
+    return false;
+  }
+
+  return { hit, clear: () => seen.clear() };
+}
+
+// first filter the message breaks, or null
+// every message counts towards flooding, links and bad words included
+function detectViolation(settings, { jid, sender, text }, flood) {
+  const flooding = settings.antispam && flood.hit(jid, sender, { max: settings.spamMax, windowSec: settings.spamWindowSec });
+  if (settings.antilink && INVITE_LINK.test(text)) return { reason: 'link' };
+  if (settings.badwords) {
+    const word = findBadWord(text, settings.badwordsList);
+    if (word) return { reason: 'badword', detail: word };
+  }
+  if (flooding) return { reason: 'spam' };
+  return null;
+}
+
+/**
+ * createModerator
+ * - log: the session's logger
+ * - sessionObj: running session (sock, settings, groups, warnings, audit, brand)
+ * - sendWithImage: (jid, content) => Promise, the session's reply helper
+ * handle() returns true when the message broke a filter and was dealt with
+ */
+function createModerator({ log, sessionObj, sendWithImage }) {
+  const flood = createFloodTracker();
+
+  async function handle({ msg, jid, sender, text }) {
+    const settings = sessionObj.settings.get(jid);
+    if (!settings.antilink && !settings.antispam && !settings.badwords) return false;
+
+    const violation = detectViolation(settings, { jid, sender, text }, flood);
+    if (!violation) return false;
+    const role = await resolveRole({ sessionObj, jid, sender, fromMe: false, isGroup: true });
+    if (hasRole(role, 'admin')) return false;
+
+    const { sock } = sessionObj;
+    const t = (key, vars) => translate(settings.language, key, vars);
+    const audit = (action, error) => sessionObj.audit.record({
+      actor: 'automod', group: jid, command: `automod:${violation.reason}`, action, targets: [sender], error
+    });
+    const user = jidUser(sender);
+    const reason = t(`moderation.reason.${violation.reason}`);
+
+    try {
+      await sock.sendMessage(jid, { delete: msg.key });
+      audit('delete');
+    } catch (e) {
+      log.error({ err: e, chat: jid }, 'automod delete failed');
+      audit('delete', e);
+    }
+
+    const count = sessionObj.warnings.add(jid, sender, violation.detail ? `${violation.reason}: ${violation.detail}` : violation.reason);
+    audit('warn');
+    if (count < settings.maxWarnings) {
+      await sendWithImage(jid, {
+        text: sessionObj.brand.render(t('moderation.warned', { user, count, max: settings.maxWarnings, reason })),
+        mentions: [sender]
+      });
+      return true;
+    }
+
+    try {
+      await sock.groupParticipantsUpdate(jid, [sender], 'remove');
+      audit('remove');
+      sessionObj.warnings.reset(jid, sender);
+      await sendWithImage(jid, {
+        text: sessionObj.brand.render(t('moderation.kicked', { user, max: settings.maxWarnings, reason })),
+        mentions: [sender]
+      });
+    } catch (e) {
+      log.error({ err: e, chat: jid, target: sender }, 'automod kick failed');
+      audit('remove', e);
+    }
+    return true;
+  }
+
+  return { handle, clear: flood.clear };
+}
+
+module.exports = { createModerator, findBadWord, INVITE_LINK };
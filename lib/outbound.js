@@ -0,0 +1,76 @@
+// Outbound messages (HTTP API): validate the request and build Baileys content
+const { toJid } = require('./jid');
+const { httpError } = require('./httpError');
+
+// multipart fields arrive as strings: accept JSON, comma lists or arrays
+function parseList(value) {
+  if (value == null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  const v = String(value).trim();
+  if (v.startsWith('[')) {
+    try { return JSON.parse(v); } catch (e) { throw httpError(400, 'mentions must be a JSON array or a comma separated list'); }
+  }
+  return v.split(',').map(x => x.trim()).filter(Boolean);
+}
+
+function parseObject(value, field) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') return value;
+  try { return JSON.parse(String(value)); } catch (e) { throw httpError(400, `${field} must be a JSON object`); }
+}
+
+// Baileys wants a full message to quote; we only know its key (and maybe its text)
+function buildQuoted(jid, quoted) {
+  if (!quoted) return undefined;
+  if (!quoted.id) throw httpError(400, 'quoted.id required');
+  return {
+    key: {
+      remoteJid: jid,
+      id: String(quoted.id),
+      fromMe: !!quoted.fromMe,
+      participant: quoted.participant ? toJid(quoted.participant) : undefined
+    },
+    message: { conversation: quoted.text ? String(quoted.text) : '' }
+  };
+}
+
+/**
+ * buildOutboundMessage
+ * - body: { to, text, mentions, quoted: { id, participant, fromMe, text }, imageUrl, documentUrl, fileName, mimetype }
+ *   (body.priority is read by the session service, not here)
+ * - files: { image, document } from multer (buffer + mimetype + originalname)
+ * returns { jid, content, options } ready for sock.sendMessage
+ */
+function buildOutboundMessage(body = {}, files = {}) {
+  const jid = toJid(body.to);
+  if (!jid) throw httpError(400, 'to (jid or phone number) required');
+
+  const text = body.text != null ? String(body.text) : '';
+  const mentions = parseList(body.mentions).map(toJid).filter(Boolean);
+  const quoted = buildQuoted(jid, parseObject(body.quoted, 'quoted'));
+
+  const image = files.image ? files.image.buffer : (body.imageUrl ? { url: String(body.imageUrl) } : null);
+  const document = files.document ? files.document.buffer : (body.documentUrl ? { url: String(body.documentUrl) } : null);
+  if (image && document) throw httpError(400, 'send either an image or a document, not both');
+
+  let content;
+  if (image) {
+    content = { image, caption: text };
+  } else if (document) {
+    const file = files.document || {};
+    content = {
+      document,
+      mimetype: body.mimetype || file.mimetype || 'application/octet-stream',
+      fileName: body.fileName || file.originalname || 'document',
+      caption: text
+    };
+  } else {
+    if (!text.trim()) throw httpError(400, 'text, image or document required');
+    content = { text };
+  }
+  if (mentions.length) content.mentions = mentions;
+
+  return { jid, content, options: quoted ? { quoted } : {} };
+}
+
+module.exports = { buildOutboundMessage };
@@ -0,0 +1,27 @@
+// Messages posted when members join, leave, or are promoted / demoted
+// Each action has its own toggle and template in the group settings; an empty
+// template means the localized default. Placeholders: {user} (mentioned),
+// {group}, {desc}, {count} (members now) and {author} (who made the change).
+const { fill } = require('./branding');
+const { translate } = require('./i18n');
+
+// group-participants.update action -> settings keys + default template
+const NOTICES = {
+  add: { toggle: 'welcome', template: 'welcomeTemplate', fallback: 'welcome.default' },
+  remove: { toggle: 'goodbye', template: 'goodbyeTemplate', fallback: 'goodbye.default' },
+  promote: { toggle: 'roleNotices', template: 'promoteTemplate', fallback: 'promoted.default' },
+  demote: { toggle: 'roleNotices', template: 'demoteTemplate', fallback: 'demoted.default' }
+};
+
+function isNoticeEnabled(settings, action) {
+  const notice = NOTICES[action];
+  return !!(notice && settings[notice.toggle]);
+}
+
+function buildNotice(settings, action, vars) {
+  const notice = NOTICES[action];
+  const template = settings[notice.template] || translate(settings.language, notice.fallback);
+  return fill(template, vars);
+}
+
+module.exports = { NOTICES, isNoticeEnabled, buildNotice };
@@ -0,0 +1,57 @@
+// Roles and per-command access rules
+// member < admin (group admin) < sudo (session sudo list) < owner (the bot's own
+// account or the phone saved in meta.json). A command needs `command.role`
+// (default member); settings.json can override that per session and per group
+// with commandRoles: { "<command name>": "<role>" }, the group rule winning.
+const { readMeta } = require('./sessionFolders');
+const { toJid, jidUser } = require('./jid');
+
+const ROLES = ['member', 'admin', 'sudo', 'owner'];
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function sanitizeRole(value) {
+  const role = String(value || '').toLowerCase();
+  if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+  return role;
+}
+
+// bare numbers of the session owner: the linked account and meta.json phone
+function ownerUsers(sessionObj) {
+  const users = [];
+  const self = sessionObj.sock && sessionObj.sock.user && sessionObj.sock.user.id;
+  if (self) users.push(jidUser(self));
+  const { phone } = readMeta(sessionObj.dir);
+  if (phone) users.push(jidUser(toJid(phone)));
+  return users.filter(Boolean);
+}
+
+// same number whatever the jid form ("509xxx:12@s.whatsapp.net" matches "509xxx@s.whatsapp.net")
+const listed = (list, sender) => (list || []).some(id => jidUser(id) === jidUser(sender));
+
+function isOwner(sessionObj, sender) {
+  return ownerUsers(sessionObj).includes(jidUser(sender));
+}
+
+// the owner can't be banned
+function isBanned(sessionObj, sender) {
+  return listed(sessionObj.settings.getSession().banned, sender) && !isOwner(sessionObj, sender);
+}
+
+async function resolveRole({ sessionObj, jid, sender, fromMe, isGroup }) {
+  if (fromMe || isOwner(sessionObj, sender)) return 'owner';
+  if (listed(sessionObj.settings.getSession().sudo, sender)) return 'sudo';
+  if (isGroup && await sessionObj.groups.isAdmin(jid, sender)) return 'admin';
+  return 'member';
+}
+
+// role needed to run command in jid: group rule, then session rule, then the command's own
+function requiredRole(command, settings, jid) {
+  const groupRules = settings.get(jid).commandRoles || {};
+  const sessionRules = settings.getSession().commandRoles || {};
+  return groupRules[command.name] || sessionRules[command.name] || command.role || 'member';
+}
+
+module.exports = { ROLES, hasRole, sanitizeRole, listed, isOwner, isBanned, resolveRole, requiredRole };
@@ -0,0 +1,54 @@
+// Reconnect policy for closed WhatsApp connections
+// Every Baileys DisconnectReason maps to one next step:
+//   reconnect  start a new socket after a delay (exponential backoff with jitter);
+//              restartRequired (sent right after a QR / pairing login) goes first without waiting
+//   halt       stop for good, saved as meta.halted = { state, reason, code, at }:
+//                needs_relogin  creds no longer valid (loggedOut, badSession, multideviceMismatch, forbidden)
+//                replaced       another client opened this WhatsApp session (connectionReplaced)
+//                gave_up        RECONNECT_MAX_ATTEMPTS reconnects in a row failed
+// Attempts count consecutive failures and start over once a connection opens.
+// A halted session only comes back through a manual restart (which asks for a new login after needs_relogin).
+const { DisconnectReason } = require('baileys');
+
+const RECONNECT_BASE_MS = parseInt(process.env.RECONNECT_BASE_MS || '2000', 10);
+const RECONNECT_MAX_MS = parseInt(process.env.RECONNECT_MAX_MS || '300000', 10);
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '10', 10);
+
+const NEEDS_RELOGIN = [
+  DisconnectReason.loggedOut,
+  DisconnectReason.badSession,
+  DisconnectReason.multideviceMismatch,
+  DisconnectReason.forbidden
+];
+
+const HALT_STATES = ['needs_relogin', 'replaced', 'gave_up'];
+
+// name of a close code, e.g. 515 -> restartRequired
+function reasonName(code) {
+  if (code == null) return 'unknown';
+  return Object.keys(DisconnectReason).find(k => DisconnectReason[k] === code) || String(code);
+}
+
+// ceiling doubles per attempt; half of it is fixed, the other half random
+function backoffDelay(attempt, { base = RECONNECT_BASE_MS, max = RECONNECT_MAX_MS } = {}) {
+  const ceiling = Math.min(max, base * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * nextStep
+ * - code: status code of lastDisconnect (null when the socket could not even start)
+ * - attempt: failed reconnects so far (0 for a connection that had opened)
+ * returns { action: 'reconnect', restart, delay, attempt, reason } or { action: 'halt', state, reason }
+ */
+function nextStep(code, attempt = 0) {
+  const reason = reasonName(code);
+  if (NEEDS_RELOGIN.includes(code)) return { action: 'halt', state: 'needs_relogin', reason };
+  if (code === DisconnectReason.connectionReplaced) return { action: 'halt', state: 'replaced', reason };
+  if (attempt >= RECONNECT_MAX_ATTEMPTS) return { action: 'halt', state: 'gave_up', reason };
+  const restart = code === DisconnectReason.restartRequired;
+  const delay = restart && attempt === 0 ? 0 : backoffDelay(attempt);
+  return { action: 'reconnect', restart, delay, attempt: attempt + 1, reason };
+}
+
+module.exports = { RECONNECT_MAX_ATTEMPTS, HALT_STATES, reasonName, backoffDelay, nextStep };
@@ -0,0 +1,150 @@
+// Scheduled group actions (cron)
+// Per-session schedules in <auth folder>/schedules.json:
+// { "schedules": [{ id, group, cron, action, text, timezone, createdBy, createdAt, lastRunAt, lastError }] }
+// action: open | close (group settings), message (branded text) or hidetag (text mentioning everyone).
+// Schedules are only armed while a session is running: the session calls
+// start(run) once its socket exists and stop() when it goes away.
+// Times are read in the schedule's timezone (default: the session's timezone setting).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { validateTimezone, getSettingsStore } = require('./settings');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'schedules' });
+
+const SCHEDULE_ACTIONS = ['open', 'close', 'message', 'hidetag'];
+const MAX_SCHEDULES = 100;
+
+// one store per auth folder, shared by the running session and the API
+const stores = new Map();
+
+function createScheduleStore(dir) {
+  const file = path.join(dir, 'schedules.json');
+  let schedules = [];
+  const tasks = new Map(); // id -> node-cron task
+  let runner = null;
+
+  if (fs.existsSync(file)) {
+    try { schedules = JSON.parse(fs.readFileSync(file, 'utf8')).schedules || []; } catch (e) { log.error({ err: e, file }, 'failed to read schedules'); }
+  }
+
+  function save() {
+    if (!fs.existsSync(dir)) return;
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ schedules }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function nextRun(id) {
+    const task = tasks.get(id);
+    const next = task && task.getNextRun ? task.getNextRun() : null;
+    return next ? next.getTime() : null;
+  }
+
+  function describe(s) {
+    return { ...s, nextRunAt: nextRun(s.id) };
+  }
+
+  function list(group) {
+    return schedules.filter(s => !group || s.group === group).map(describe);
+  }
+
+  function get(id) {
+    const s = schedules.find(x => x.id === id);
+    return s ? describe(s) : null;
+  }
+
+  function arm(s) {
+    disarm(s.id);
+    if (!runner) return;
+    tasks.set(s.id, cron.schedule(s.cron, () => fire(s.id), { timezone: s.timezone, name: `${path.basename(dir)}:${s.id}` }));
+  }
+
+  function disarm(id) {
+    const task = tasks.get(id);
+    if (task) task.destroy();
+    tasks.delete(id);
+  }
+
+  async function fire(id) {
+    const s = schedules.find(x => x.id === id);
+    if (!s || !runner) return;
+    let error = null;
+    try {
+      await runner(s);
+    } catch (e) {
+      error = e;
+    }
+    s.lastRunAt = Date.now();
+    s.lastError = error ? String(error.message || error) : null;
+    save();
+  }
+
+  function add({ group, cron: expression, action, text, timezone, createdBy } = {}) {
+    if (!group || !String(group).endsWith('@g.us')) throw new Error('group jid required');
+    if (!SCHEDULE_ACTIONS.includes(action)) throw new Error(`action must be one of ${SCHEDULE_ACTIONS.join(', ')}`);
+    const expr = String(expression || '').trim().split(/\s+/).join(' ');
+    if (!cron.validate(expr)) throw new Error(`invalid cron expression: ${expr}`);
+    const body = String(text || '').trim();
+    if ((action === 'message' || action === 'hidetag') && !body) throw new Error(`${action} needs a text`);
+    if (schedules.length >= MAX_SCHEDULES) throw new Error(`at most ${MAX_SCHEDULES} schedules per session`);
+
+    let id;
+    do { id = crypto.randomBytes(3).toString('hex'); } while (schedules.some(x => x.id === id));
+    const s = {
+      id,
+      group: String(group),
+      cron: expr,
+      action,
+      text: body.slice(0, 4000),
+      timezone: validateTimezone(timezone || getSettingsStore(dir).getSession().timezone),
+      createdBy: createdBy || null,
+      createdAt: Date.now(),
+      lastRunAt: null,
+      lastError: null
+    };
+    schedules.push(s);
+    save();
+    arm(s);
+    return describe(s);
+  }
+
+  function remove(id) {
+    const before = schedules.length;
+    schedules = schedules.filter(s => s.id !== id);
+    if (schedules.length === before) throw new Error('unknown schedule');
+    disarm(id);
+    save();
+  }
+
+  // run: async (schedule) => void — performs the action on the live socket
+  function start(run) {
+    stop();
+    runner = run;
+    for (const s of schedules) {
+      try { arm(s); } catch (e) { log.error({ err: e, scheduleId: s.id, cron: s.cron }, 'cannot arm schedule'); }
+    }
+  }
+
+  function stop() {
+    for (const id of Array.from(tasks.keys())) disarm(id);
+    runner = null;
+  }
+
+  return { list, get, add, remove, start, stop };
+}
+
+function getScheduleStore(dir) {
+  if (!stores.has(dir)) stores.set(dir, createScheduleStore(dir));
+  return stores.get(dir);
+}
+
+function dropScheduleStore(dir) {
+  const store = stores.get(dir);
+  if (store) store.stop();
+  stores.delete(dir);
+}
+
+module.exports = { SCHEDULE_ACTIONS, getScheduleStore, dropScheduleStore };
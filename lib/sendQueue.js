@@ -0,0 +1,209 @@
+// Outbound send queue
+// Every sock.sendMessage and group mutation of a session goes through one queue
+// so commands running in parallel (several groups, API sends) can't burst.
+// One token bucket per kind: "messages" (sendMessage) and "group" (participant
+// updates, subject/settings changes). Inside a bucket, higher priority goes first,
+// then FIFO. Rate-limit errors from WhatsApp pause the bucket and are retried with backoff.
+// A bucket holds at most QUEUE_MAX_DEPTH waiting jobs. When it is full, a job of higher
+// priority takes the place of the last low-ranked one, which is rejected; anything else is
+// rejected itself (a producer faster than the rate, e.g. .dh7, can't lock out command replies).
+const { AsyncLocalStorage } = require('async_hooks');
+
+const int = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+const DEFAULT_RATES = {
+  messages: { perMinute: int(process.env.QUEUE_MESSAGES_PER_MIN, 30), burst: int(process.env.QUEUE_MESSAGES_BURST, 5) },
+  group: { perMinute: int(process.env.QUEUE_GROUP_PER_MIN, 12), burst: int(process.env.QUEUE_GROUP_BURST, 2) }
+};
+const MAX_RETRIES = int(process.env.QUEUE_MAX_RETRIES, 3);
+const RETRY_BASE_MS = int(process.env.QUEUE_RETRY_BASE_MS, 5000);
+const MAX_DEPTH = int(process.env.QUEUE_MAX_DEPTH, 200);
+
+// socket methods routed through the queue -> bucket they draw from
+const QUEUED_METHODS = {
+  sendMessage: 'messages',
+  groupParticipantsUpdate: 'group',
+  groupUpdateSubject: 'group',
+  groupUpdateDescription: 'group',
+  groupSettingUpdate: 'group'
+};
+
+// priority for sends made inside withPriority(), whatever the call depth
+const priorityScope = new AsyncLocalStorage();
+
+function normalizePriority(value) {
+  if (value === undefined || value === null || value === '') return 'normal';
+  if (!(value in PRIORITIES)) throw new Error(`priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`);
+  return value;
+}
+
+// WhatsApp answers bursts with 429 / "rate-overlimit"
+function isRateLimited(err) {
+  const status = err?.output?.statusCode || err?.data?.status || null;
+  return status === 429 || /rate-overlimit|too many/i.test(String(err?.message || ''));
+}
+
+/**
+ * createSendQueue
+ * - log: the session's logger
+ * - onFailure: (bucket, count) => void, called when jobs fail for good (metrics)
+ * - rates: { messages: { perMinute, burst }, group: { perMinute, burst } }
+ * - maxDepth: waiting jobs per bucket before enqueue rejects with code QUEUE_FULL
+ */
+function createSendQueue({ log, onFailure, rates = DEFAULT_RATES, maxDepth = MAX_DEPTH } = {}) {
+  let seq = 0;
+  let closed = false;
+  const buckets = {};
+  for (const [name, rate] of Object.entries(rates)) {
+    buckets[name] = {
+      name,
+      rate,
+      tokens: rate.burst,
+      refilledAt: Date.now(),
+      pausedUntil: 0,
+      pending: [],
+      inFlight: 0,
+      timer: null,
+      counters: { sent: 0, failed: 0, retried: 0, maxDepth: 0 }
+    };
+  }
+
+  function refill(b) {
+    const now = Date.now();
+    b.tokens = Math.min(b.rate.burst, b.tokens + (now - b.refilledAt) * b.rate.perMinute / 60000);
+    b.refilledAt = now;
+  }
+
+  function wakeIn(b, ms) {
+    if (b.timer) return;
+    b.timer = setTimeout(() => {
+      b.timer = null;
+      pump(b);
+    }, Math.max(0, Math.ceil(ms)));
+  }
+
+  // sorted by priority, then arrival (a retried job keeps its place)
+  function insert(b, job) {
+    const idx = b.pending.findIndex(p => p.rank > job.rank || (p.rank === job.rank && p.seq > job.seq));
+    if (idx === -1) b.pending.push(job);
+    else b.pending.splice(idx, 0, job);
+    b.counters.maxDepth = Math.max(b.counters.maxDepth, b.pending.length);
+  }
+
+  function pump(b) {
+    while (b.pending.length) {
+      const now = Date.now();
+      if (b.pausedUntil > now) return wakeIn(b, b.pausedUntil - now);
+      refill(b);
+      if (b.tokens < 1) return wakeIn(b, (1 - b.tokens) * 60000 / b.rate.perMinute);
+      b.tokens -= 1;
+      run(b, b.pending.shift());
+    }
+  }
+
+  async function run(b, job) {
+    b.inFlight += 1;
+    try {
+      const result = await job.fn();
+      b.counters.sent += 1;
+      job.resolve(result);
+    } catch (err) {
+      if (!closed && isRateLimited(err) && job.attempt < MAX_RETRIES) {
+        const delay = RETRY_BASE_MS * 2 ** job.attempt;
+        job.attempt += 1;
+        b.counters.retried += 1;
+        b.pausedUntil = Math.max(b.pausedUntil, Date.now() + delay);
+        if (log) log.warn({ bucket: b.name, retry: job.attempt, maxRetries: MAX_RETRIES, delay }, 'rate limited, retrying');
+        insert(b, job);
+        pump(b);
+        return;
+      }
+      b.counters.failed += 1;
+      if (onFailure) onFailure(b.name, 1);
+      job.reject(err);
+    } finally {
+      b.inFlight -= 1;
+    }
+  }
+
+  function queueFull(b) {
+    b.counters.failed += 1;
+    if (onFailure) onFailure(b.name, 1);
+    const err = new Error(`send queue full (${b.name}: ${maxDepth} waiting)`);
+    err.code = 'QUEUE_FULL';
+    return err;
+  }
+
+  // fn is called when a token is available; resolves/rejects with fn's result
+  function enqueue(bucket, fn, { priority } = {}) {
+    const b = buckets[bucket];
+    if (!b) return Promise.reject(new Error(`unknown send queue bucket: ${bucket}`));
+    if (closed) return Promise.reject(new Error('send queue closed'));
+    const level = normalizePriority(priority || priorityScope.getStore());
+    if (b.pending.length >= maxDepth) {
+      // pending is sorted: the last job is the lowest ranked and the newest of its rank
+      const last = b.pending[b.pending.length - 1];
+      if (!last || last.rank <= PRIORITIES[level]) return Promise.reject(queueFull(b));
+      b.pending.pop().reject(queueFull(b));
+    }
+    return new Promise((resolve, reject) => {
+      insert(b, { fn, resolve, reject, rank: PRIORITIES[level], priority: level, seq: seq++, attempt: 0 });
+      pump(b);
+    });
+  }
+
+  // run fn so that every queued send it makes (directly or not) uses this priority
+  function withPriority(priority, fn) {
+    return priorityScope.run(normalizePriority(priority), fn);
+  }
+
+  // route the socket's send / group mutation methods through the queue
+  function wrap(sock) {
+    for (const [method, bucket] of Object.entries(QUEUED_METHODS)) {
+      if (typeof sock[method] !== 'function') continue;
+      const original = sock[method].bind(sock);
+      sock[method] = (...args) => enqueue(bucket, () => original(...args));
+    }
+    return sock;
+  }
+
+  // reject everything still waiting (socket closed, session stopped)
+  function clear(reason = 'send queue closed') {
+    closed = true;
+    for (const b of Object.values(buckets)) {
+      if (b.timer) clearTimeout(b.timer);
+      b.timer = null;
+      const pending = b.pending.splice(0);
+      for (const job of pending) job.reject(new Error(reason));
+      b.counters.failed += pending.length;
+      if (onFailure && pending.length) onFailure(b.name, pending.length);
+    }
+  }
+
+  function stats() {
+    const out = { depth: 0 };
+    for (const b of Object.values(buckets)) {
+      refill(b);
+      out.depth += b.pending.length;
+      out[b.name] = {
+        depth: b.pending.length,
+        inFlight: b.inFlight,
+        perMinute: b.rate.perMinute,
+        burst: b.rate.burst,
+        tokens: Math.floor(b.tokens),
+        pausedForMs: Math.max(0, b.pausedUntil - Date.now()),
+        ...b.counters
+      };
+    }
+    return out;
+  }
+
+  return { enqueue, withPriority, wrap, clear, stats };
+}
+
+module.exports = { createSendQueue, normalizePriority, PRIORITIES };
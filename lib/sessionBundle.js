@@ -0,0 +1,65 @@
+// Encrypted session bundles: move a bot to another server without a new login
+// A bundle holds the auth state (creds + signal keys, from either auth store backend),
+// meta.json and the session's config files, encrypted with AES-256-GCM under a key
+// derived from a passphrase (scrypt). Message history, audit log and warnings stay behind.
+// Only one server may run a given bundle: WhatsApp closes the older connection (replaced).
+const crypto = require('crypto');
+
+const BUNDLE_FORMAT = 'santano-session';
+const BUNDLE_VERSION = 1;
+const PASSPHRASE_MIN = 8;
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+
+// per-folder files that travel with the bundle
+const BUNDLE_FILES = ['settings.json', 'webhooks.json', 'schedules.json'];
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < PASSPHRASE_MIN) {
+    throw new Error(`passphrase must be at least ${PASSPHRASE_MIN} characters`);
+  }
+}
+
+const deriveKey = (passphrase, salt, { N, r, p }) => crypto.scryptSync(passphrase, salt, 32, { N, r, p });
+
+// payload: { folder, meta, auth: { name: json }, files: { name: text } } -> Buffer (JSON envelope)
+function sealBundle(payload, passphrase) {
+  checkPassphrase(passphrase);
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT), iv);
+  const plain = Buffer.from(JSON.stringify({ ...payload, exportedAt: Date.now() }));
+  const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.from(JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    kdf: { name: 'scrypt', ...SCRYPT, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }));
+}
+
+// Buffer | string -> payload; a wrong passphrase and a tampered file fail the same way
+function openBundle(bundle, passphrase) {
+  checkPassphrase(passphrase);
+  let envelope;
+  try { envelope = JSON.parse(Buffer.isBuffer(bundle) ? bundle.toString('utf8') : String(bundle)); } catch (e) { envelope = null; }
+  if (!envelope || envelope.format !== BUNDLE_FORMAT) throw new Error('not a session bundle');
+  if (envelope.version !== BUNDLE_VERSION) throw new Error(`unsupported bundle version: ${envelope.version}`);
+  const { N, r, p, salt } = envelope.kdf || {};
+  let plain;
+  try {
+    const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  } catch (e) {
+    throw new Error('wrong passphrase or corrupted bundle');
+  }
+  const payload = JSON.parse(plain.toString('utf8'));
+  if (!payload || !payload.auth || !payload.auth.creds) throw new Error('bundle has no creds');
+  return payload;
+}
+
+module.exports = { BUNDLE_FILES, sealBundle, openBundle };
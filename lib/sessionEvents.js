@@ -0,0 +1,81 @@
+// Session event bus
+// Lifecycle events (qr, pairing_code, connected, disconnected, halted, restarted, reconnected, updated, error)
+// are sent to a socket.io room per session instead of the client that created it,
+// so any dashboard tab can (re)subscribe and get the current state + QR on join.
+// onChange listeners hear about every event (the dashboard uses it for live updates).
+const { logger } = require('./logger');
+
+function roomFor(sessionId) {
+  return `session:${sessionId}`;
+}
+
+function createSessionEvents(io) {
+  // sessionId -> { sessionId, folderName, state, attempt, qr, pairing, lastError, updatedAt }
+  const states = new Map();
+  const listeners = [];
+
+  function update(sessionId, patch) {
+    const prev = states.get(sessionId) || { sessionId, folderName: null, state: 'idle', attempt: 0, qr: null, pairing: null, lastError: null };
+    const next = { ...prev, ...patch, updatedAt: Date.now() };
+    states.set(sessionId, next);
+    return next;
+  }
+
+  // track state from the event itself so late subscribers can catch up
+  function track(sessionId, event, payload) {
+    switch (event) {
+      case 'starting': return update(sessionId, { state: 'connecting', folderName: payload.folderName, attempt: payload.attempt || 0 });
+      case 'qr': return update(sessionId, { state: 'qr', qr: payload });
+      case 'pairing_code': return update(sessionId, { state: 'pairing', pairing: payload });
+      case 'connected': return update(sessionId, { state: 'open', attempt: 0, qr: null, pairing: null, lastError: null });
+      case 'disconnected': return update(sessionId, { state: 'closed', qr: null, pairing: null });
+      case 'halted': return update(sessionId, { state: payload.state, qr: null, pairing: null }); // needs_relogin | replaced | gave_up
+      case 'restarted':
+      case 'reconnected': return update(sessionId, { state: 'connecting' });
+      case 'error': return update(sessionId, { lastError: payload.detail || payload.message || null });
+      default: return states.get(sessionId);
+    }
+  }
+
+  function emit(sessionId, event, payload = {}) {
+    const body = { sessionId, ...payload };
+    track(sessionId, event, body);
+    io.to(roomFor(sessionId)).emit(event, body);
+    for (const fn of listeners) {
+      try { fn(sessionId, event); } catch (e) { logger.error({ err: e, sessionId }, 'session event listener failed'); }
+    }
+  }
+
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  function snapshot(sessionId) {
+    return states.get(sessionId) || null;
+  }
+
+  function subscribe(socket, sessionId) {
+    socket.join(roomFor(sessionId));
+    const current = snapshot(sessionId);
+    socket.emit('session_state', current || { sessionId, state: 'idle' });
+    if (current && current.qr) socket.emit('qr', current.qr);
+    if (current && current.pairing && current.pairing.expiresAt > Date.now()) socket.emit('pairing_code', current.pairing);
+  }
+
+  function unsubscribe(socket, sessionId) {
+    socket.leave(roomFor(sessionId));
+  }
+
+  function forget(sessionId) {
+    states.delete(sessionId);
+  }
+
+  // dashboard-wide events (not tied to one session room)
+  function broadcast(event, payload = {}) {
+    io.emit(event, payload);
+  }
+
+  return { emit, broadcast, snapshot, subscribe, unsubscribe, forget, onChange, roomFor };
+}
+
+module.exports = { createSessionEvents };
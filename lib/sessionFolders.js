@@ -0,0 +1,69 @@
+// Session folders: sessions/auth_infoN, each holding meta.json, settings and logs
+// (plus Baileys creds with the default auth store, see lib/authStore.js)
+const fs = require('fs');
+const path = require('path');
+
+const SESSIONS_BASE = path.join(__dirname, '..', 'sessions');
+if (!fs.existsSync(SESSIONS_BASE)) fs.mkdirSync(SESSIONS_BASE, { recursive: true });
+
+const FOLDER_RE = /^auth_info(\d+)$/;
+
+function listAuthFolders() {
+  return fs.readdirSync(SESSIONS_BASE)
+    .filter(n => FOLDER_RE.test(n))
+    .sort((a, b) => parseInt(a.match(FOLDER_RE)[1], 10) - parseInt(b.match(FOLDER_RE)[1], 10));
+}
+
+function nextAuthFolder() {
+  const nums = listAuthFolders().map(n => parseInt(n.match(FOLDER_RE)[1], 10));
+  const next = (nums.length ? Math.max(...nums) : 0) + 1;
+  return `auth_info${next}`;
+}
+
+// create the next auth_infoN and return its name; mkdir fails with EEXIST when a
+// concurrent create (or another process on the same disk) took that number first
+function reserveAuthFolder() {
+  for (;;) {
+    const name = nextAuthFolder();
+    try {
+      fs.mkdirSync(path.join(SESSIONS_BASE, name));
+      return name;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+}
+
+// meta.json helpers (merge so later writes don't drop sessionId/profile/phone)
+function readMeta(dir) {
+  const metaPath = path.join(dir, 'meta.json');
+  if (!fs.existsSync(metaPath)) return {};
+  try { return JSON.parse(fs.readFileSync(metaPath, 'utf8')) || {}; } catch (e) { return {}; }
+}
+
+function writeMeta(dir, patch) {
+  const meta = { ...readMeta(dir), ...patch };
+  fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+// drop Baileys' creds and signal keys (creds.json, pre-key-*.json, session-*.json, ...)
+// so the next start asks for a new login; our own files (meta, settings, logs) stay
+const AUTH_FILE_RE = /^(?:creds|[a-z]+(?:-[a-z]+)*-.+)\.json$/;
+
+function clearAuthCreds(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  const files = fs.readdirSync(dir).filter(n => AUTH_FILE_RE.test(n));
+  for (const n of files) fs.rmSync(path.join(dir, n), { force: true });
+  return files.length;
+}
+
+module.exports = {
+  SESSIONS_BASE,
+  listAuthFolders,
+  reserveAuthFolder,
+  readMeta,
+  writeMeta,
+  AUTH_FILE_RE,
+  clearAuthCreds
+};
@@ -0,0 +1,459 @@
+// Session service
+// Single place that lists, creates, inspects, restarts and destroys sessions.
+// Both the REST API (routes/sessions.js) and the socket.io handlers call into it.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const {
+  SESSIONS_BASE,
+  listAuthFolders,
+  reserveAuthFolder,
+  readMeta,
+  writeMeta
+} = require('./sessionFolders');
+const { getAuthStore } = require('./authStore');
+const { BUNDLE_FILES, sealBundle, openBundle } = require('./sessionBundle');
+const { getSettingsStore, dropSettingsStore } = require('./settings');
+const { getWebhookStore, dropWebhookStore } = require('./webhooks');
+const { getAuditLog, dropAuditLog, toCsv } = require('./auditLog');
+const { dropWarningStore } = require('./warnings');
+const { getScheduleStore, dropScheduleStore } = require('./schedules');
+const { getMessageStore, dropMessageStore } = require('./messageStore');
+const { normalizePhone, jidUser } = require('./jid');
+const { httpError } = require('./httpError');
+const { buildOutboundMessage } = require('./outbound');
+const { normalizePriority } = require('./sendQueue');
+const { getBranding, listProfiles } = require('./branding');
+const { logger } = require('./logger');
+
+const RESUME_DELAY_MS = parseInt(process.env.RESUME_DELAY_MS || '3000', 10);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * createSessionService
+ * - sessions: in-memory sessions map (sessionId -> sessionObj)
+ * - events: session event bus (lib/sessionEvents.js)
+ * - stats: activity counters (lib/sessionStats.js)
+ * - startBaileysForSession: (sessionId, folderName) => Promise<sessionObj>
+ */
+function createSessionService({ sessions, events, stats, startBaileysForSession }) {
+  const authStore = getAuthStore(); // creds + signal keys (lib/authStore.js)
+
+  function runningByFolder(folderName) {
+    return Object.entries(sessions).find(([, v]) => v.folderName === folderName) || null;
+  }
+
+  // id may be a sessionId or an auth_info folder name
+  function resolve(id) {
+    if (!id) throw httpError(400, 'session id or folder required');
+    id = String(id);
+    if (sessions[id]) return { sessionId: id, folderName: sessions[id].folderName };
+
+    const folders = listAuthFolders();
+    if (folders.includes(id)) {
+      const running = runningByFolder(id);
+      const sessionId = running ? running[0] : (readMeta(path.join(SESSIONS_BASE, id)).sessionId || null);
+      return { sessionId, folderName: id };
+    }
+    const folderName = folders.find(n => readMeta(path.join(SESSIONS_BASE, n)).sessionId === id);
+    if (folderName) return { sessionId: id, folderName };
+    throw httpError(404, 'unknown session');
+  }
+
+  function describe(folderName) {
+    const dir = path.join(SESSIONS_BASE, folderName);
+    const meta = readMeta(dir);
+    const running = runningByFolder(folderName);
+    const sessionId = running ? running[0] : (meta.sessionId || null);
+    const snapshot = sessionId ? events.snapshot(sessionId) : null;
+    return {
+      sessionId,
+      folder: folderName,
+      meta,
+      online: !!running,
+      linked: !!authStore.account(folderName),
+      loggedOut: !!meta.loggedOut,
+      state: snapshot ? snapshot.state : (running ? 'connecting' : (meta.halted ? meta.halted.state : 'offline')),
+      attempt: snapshot ? snapshot.attempt : 0, // reconnect attempt of the current socket
+      halted: meta.halted || null, // { state, reason, code, at } once reconnecting stopped (lib/reconnectPolicy.js)
+      lastError: snapshot ? snapshot.lastError : null,
+      lastSeen: meta.connectedAt || null,
+      stats: sessionId ? stats.get(sessionId) : null,
+      queue: running ? running[1].queue.stats() : null
+    };
+  }
+
+  function list() {
+    return listAuthFolders().map(describe);
+  }
+
+  function get(id) {
+    return describe(resolve(id).folderName);
+  }
+
+  async function create(payload = {}) {
+    const profile = payload.profile ? String(payload.profile) : 'unknown';
+    const name = payload.name ? String(payload.name) : '';
+    const phone = payload.phone ? String(payload.phone) : '';
+    const usePairingCode = !!payload.usePairingCode;
+    if (usePairingCode) {
+      try { normalizePhone(phone); } catch (e) { throw httpError(400, e.message); } // fail before creating the folder
+    }
+
+    const folderName = reserveAuthFolder();
+    const sessionId = uuidv4();
+    const dir = path.join(SESSIONS_BASE, folderName);
+
+    const loginMethod = usePairingCode ? 'pairing' : 'qr';
+    writeMeta(dir, { sessionId, folderName, profile, name, phone, loginMethod, createdAt: Date.now() });
+
+    await startBaileysForSession(sessionId, folderName);
+    return { sessionId, folderName };
+  }
+
+  // end the socket without triggering the reconnect logic in connection.update
+  function stop(sessionId) {
+    const s = sessions[sessionId];
+    if (!s) return false;
+    s.stopped = true;
+    s.confirmations.clearAll();
+    s.queue.clear('session stopped');
+    for (const timer of Object.values(s.invisibleMode)) clearInterval(timer);
+    s.invisibleMode = {};
+    s.schedules.stop();
+    try { s.sock.end(); } catch (e) {}
+    delete sessions[sessionId];
+    return true;
+  }
+
+  // a halted session starts over from attempt 0; after needs_relogin the old creds
+  // are dropped so WhatsApp shows a new QR / pairing code
+  async function restart(id) {
+    const { sessionId, folderName } = resolve(id);
+    const dir = path.join(SESSIONS_BASE, folderName);
+    const sid = sessionId || uuidv4();
+    if (!sessionId) writeMeta(dir, { sessionId: sid, folderName });
+    stop(sid);
+    const meta = readMeta(dir);
+    if (meta.loggedOut || (meta.halted && meta.halted.state === 'needs_relogin')) authStore.clear(folderName);
+    if (meta.halted || meta.loggedOut) writeMeta(dir, { halted: null, loggedOut: false });
+    await startBaileysForSession(sid, folderName);
+    events.emit(sid, 'restarted', { folderName });
+    return describe(folderName);
+  }
+
+  function destroy(id) {
+    const { sessionId, folderName } = resolve(id);
+    if (sessionId) {
+      stop(sessionId);
+      events.emit(sessionId, 'destroyed', { folderName });
+      events.forget(sessionId);
+      stats.forget(sessionId);
+    }
+    const full = path.join(SESSIONS_BASE, folderName);
+    if (fs.existsSync(full)) fs.rmSync(full, { recursive: true, force: true });
+    authStore.clear(folderName);
+    dropSettingsStore(full);
+    dropWebhookStore(full);
+    dropAuditLog(full);
+    dropWarningStore(full);
+    dropScheduleStore(full);
+    dropMessageStore(full);
+    return { folder: folderName, sessionId };
+  }
+
+  // unlink the device: WhatsApp invalidates the creds and connection.update
+  // flags the folder as logged out (a new QR scan is needed to use it again)
+  async function logout(id) {
+    const { sessionId, folderName } = resolve(id);
+    const s = sessionId && sessions[sessionId];
+    const snapshot = sessionId ? events.snapshot(sessionId) : null;
+    if (!s || !snapshot || snapshot.state !== 'open') throw httpError(409, 'session is not connected');
+    await s.sock.logout();
+    return describe(folderName);
+  }
+
+  // editable meta: display name and branding profile (applied to the running bot right away)
+  function updateSession(id, { name, profile } = {}) {
+    const { sessionId, folderName } = resolve(id);
+    const patch = {};
+    if (name !== undefined) patch.name = String(name || '').trim().slice(0, 100);
+    if (profile !== undefined) {
+      const value = String(profile || '');
+      if (value !== 'default' && !listProfiles().includes(value)) throw httpError(400, `profile must be one of ${['default', ...listProfiles()].join(', ')}`);
+      patch.profile = value;
+    }
+    writeMeta(path.join(SESSIONS_BASE, folderName), patch);
+    const s = sessionId && sessions[sessionId];
+    if (s && patch.profile !== undefined) {
+      s.brand = getBranding(patch.profile);
+      s.cachedImageBuffer = null;
+    }
+    if (sessionId) events.emit(sessionId, 'updated', { folderName });
+    return describe(folderName);
+  }
+
+  // groups the connected account is in (cached, see lib/groupCache.js)
+  async function getGroups(id, { refresh } = {}) {
+    const { sessionId, folderName } = resolve(id);
+    const s = sessionId && sessions[sessionId];
+    const snapshot = sessionId ? events.snapshot(sessionId) : null;
+    if (!s || !snapshot || snapshot.state !== 'open') throw httpError(409, 'session is not connected');
+    const me = s.sock.user ? jidUser(s.sock.user.id) : null;
+    const list = await s.groups.list({ refresh: refresh === true || refresh === 'true' || refresh === '1' });
+    const groups = list.map(g => {
+      const self = (g.participants || []).find(p => jidUser(p.id) === me);
+      return {
+        id: g.id,
+        subject: g.subject || '',
+        size: g.size || (g.participants || []).length,
+        announce: !!g.announce,
+        isAdmin: !!(self && self.admin)
+      };
+    }).sort((a, b) => a.subject.localeCompare(b.subject));
+    return { folder: folderName, groups };
+  }
+
+  // current QR (data URL) or pairing code, if the session is waiting for a login
+  function getQr(id) {
+    const { sessionId, folderName } = resolve(id);
+    const snapshot = sessionId ? events.snapshot(sessionId) : null;
+    return {
+      sessionId,
+      folder: folderName,
+      state: snapshot ? snapshot.state : 'offline',
+      qr: snapshot && snapshot.qr ? snapshot.qr : null,
+      pairing: snapshot && snapshot.pairing && snapshot.pairing.expiresAt > Date.now() ? snapshot.pairing : null
+    };
+  }
+
+  // send a message through a connected session; returns the WhatsApp message id
+  // body.priority (high|normal|low) orders it in the session's send queue
+  async function sendMessage(id, body, files) {
+    const { sessionId } = resolve(id);
+    const s = sessionId && sessions[sessionId];
+    const snapshot = sessionId ? events.snapshot(sessionId) : null;
+    if (!s || !snapshot || snapshot.state !== 'open') throw httpError(409, 'session is not connected');
+
+    const { jid, content, options } = buildOutboundMessage(body, files);
+    let priority;
+    try { priority = normalizePriority(body.priority); } catch (e) { throw httpError(400, e.message); }
+    const result = await s.queue.withPriority(priority, () => s.sock.sendMessage(jid, content, options));
+    return { messageId: result && result.key ? result.key.id : null, to: jid, timestamp: Date.now() };
+  }
+
+  function getSettings(id) {
+    const { folderName } = resolve(id);
+    return { folder: folderName, ...getSettingsStore(path.join(SESSIONS_BASE, folderName)).all() };
+  }
+
+  // { session: { language, timezone, sudo, banned, commandRoles, storeMessages, messageRetentionDays } } for session defaults,
+  // or { jid, settings } / { jid, remove: true } for a group
+  function updateSettings(id, { jid, settings, remove, session } = {}) {
+    const { folderName } = resolve(id);
+    const store = getSettingsStore(path.join(SESSIONS_BASE, folderName));
+    if (!session && (!jid || !String(jid).endsWith('@g.us'))) throw httpError(400, 'group jid required');
+    try {
+      if (session) store.setSession(session);
+      else if (remove) store.remove(jid);
+      else store.set(jid, settings);
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+    return { folder: folderName, ...store.all() };
+  }
+
+  // webhooks: subscriptions + dead letters
+  function webhookStore(id) {
+    const { folderName } = resolve(id);
+    return { folder: folderName, store: getWebhookStore(path.join(SESSIONS_BASE, folderName)) };
+  }
+
+  function getWebhooks(id) {
+    const { folder, store } = webhookStore(id);
+    return { folder, hooks: store.list(), deadLetters: store.deadLetters() };
+  }
+
+  function addWebhook(id, body) {
+    const { store } = webhookStore(id);
+    try { return store.add(body); } catch (e) { throw httpError(400, e.message); }
+  }
+
+  function removeWebhook(id, hookId) {
+    const { store } = webhookStore(id);
+    try { store.remove(hookId); } catch (e) { throw httpError(404, e.message); }
+    return getWebhooks(id);
+  }
+
+  function retryDeadLetter(id, deliveryId) {
+    const { store } = webhookStore(id);
+    try { store.retryDeadLetter(deliveryId); } catch (e) { throw httpError(404, e.message); }
+    return getWebhooks(id);
+  }
+
+  function clearDeadLetters(id) {
+    webhookStore(id).store.clearDeadLetters();
+    return getWebhooks(id);
+  }
+
+  // audit log: one page (newest first) or a full export
+  function getAudit(id, { group, page, pageSize } = {}) {
+    const { folderName } = resolve(id);
+    return { folder: folderName, ...getAuditLog(path.join(SESSIONS_BASE, folderName)).query({ group, page, pageSize }) };
+  }
+
+  function exportAudit(id, { group, format } = {}) {
+    const { folderName } = resolve(id);
+    const entries = getAuditLog(path.join(SESSIONS_BASE, folderName)).all({ group });
+    if (format === 'csv') return { contentType: 'text/csv', filename: `${folderName}-audit.csv`, body: toCsv(entries) };
+    return { contentType: 'application/json', filename: `${folderName}-audit.json`, body: JSON.stringify(entries, null, 2) };
+  }
+
+  // cron schedules: listed for the whole session or one group
+  function scheduleStore(id) {
+    const { folderName } = resolve(id);
+    return { folder: folderName, store: getScheduleStore(path.join(SESSIONS_BASE, folderName)) };
+  }
+
+  function getSchedules(id, { group } = {}) {
+    const { folder, store } = scheduleStore(id);
+    return { folder, schedules: store.list(group) };
+  }
+
+  function addSchedule(id, body = {}) {
+    const { store } = scheduleStore(id);
+    try {
+      return store.add({ ...body, createdBy: body.createdBy || 'api' });
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+  }
+
+  function removeSchedule(id, scheduleId) {
+    const { store } = scheduleStore(id);
+    try { store.remove(scheduleId); } catch (e) { throw httpError(404, e.message); }
+    return getSchedules(id);
+  }
+
+  // stored message history (session setting storeMessages, or antidelete groups):
+  // search by group, sender and text, newest first; deleted=true lists deletions instead
+  function searchMessages(id, { group, sender, text, deleted, page, pageSize } = {}) {
+    const { folderName } = resolve(id);
+    const store = getMessageStore(path.join(SESSIONS_BASE, folderName));
+    const query = { group, sender, text, page, pageSize };
+    const wantDeleted = deleted === true || deleted === 'true' || deleted === '1';
+    return { folder: folderName, deleted: wantDeleted, ...(wantDeleted ? store.deletions(query) : store.search(query)) };
+  }
+
+  // encrypted bundle of the session's login and config (lib/sessionBundle.js)
+  // the source keeps running: stop or destroy it before starting the bundle elsewhere
+  function exportSession(id, { passphrase } = {}) {
+    const { folderName } = resolve(id);
+    const dir = path.join(SESSIONS_BASE, folderName);
+    if (!authStore.account(folderName)) throw httpError(409, 'session is not linked');
+    const files = {};
+    for (const name of BUNDLE_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) files[name] = fs.readFileSync(file, 'utf8');
+    }
+    let body;
+    try {
+      body = sealBundle({ folder: folderName, meta: readMeta(dir), auth: authStore.dump(folderName), files }, passphrase);
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+    return { contentType: 'application/json', filename: `${folderName}.session.json`, body };
+  }
+
+  // unpack a bundle into a new auth_infoN and start it (start: false only restores it)
+  async function importSession({ bundle, passphrase, start = true } = {}) {
+    if (!bundle || !bundle.length) throw httpError(400, 'bundle required');
+    let payload;
+    try { payload = openBundle(bundle, passphrase); } catch (e) { throw httpError(400, e.message); }
+
+    // the same WhatsApp account twice would keep replacing each other's connection
+    let account = null;
+    try { account = JSON.parse(payload.auth.creds).me.id; } catch (e) {}
+    const existing = account && listAuthFolders().find(n => jidUser(authStore.account(n) || '') === jidUser(account));
+    if (existing) throw httpError(409, `this WhatsApp account is already linked as ${existing}`);
+
+    const folderName = reserveAuthFolder();
+    const sessionId = uuidv4();
+    const dir = path.join(SESSIONS_BASE, folderName);
+    try {
+      for (const name of BUNDLE_FILES) {
+        if (typeof (payload.files || {})[name] === 'string') fs.writeFileSync(path.join(dir, name), payload.files[name]);
+      }
+      authStore.restore(folderName, payload.auth);
+      writeMeta(dir, {
+        ...(payload.meta || {}),
+        sessionId,
+        folderName,
+        importedFrom: payload.folder || null,
+        importedAt: Date.now(),
+        halted: null,
+        loggedOut: false
+      });
+    } catch (e) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      authStore.clear(folderName);
+      throw httpError(400, `invalid bundle: ${e.message}`);
+    }
+
+    if (start !== false && start !== 'false') await startBaileysForSession(sessionId, folderName);
+    return { sessionId, folderName };
+  }
+
+  // resume saved sessions on boot
+  // Only folders whose creds were actually linked and that were not logged out
+  // are started, one at a time so many bots don't all connect at once. Halted
+  // sessions stay down, except gave_up (the network may be back after a reboot).
+  async function resumeAll() {
+    const results = { resumed: [], failed: [], skipped: [] };
+
+    // auth store on a persistent disk, sessions/ wiped by a deploy: bring the folders back
+    for (const folderName of authStore.folders()) {
+      const dir = path.join(SESSIONS_BASE, folderName);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    }
+
+    for (const folderName of listAuthFolders()) {
+      const dir = path.join(SESSIONS_BASE, folderName);
+      const meta = readMeta(dir);
+      const halted = meta.halted && meta.halted.state !== 'gave_up';
+      if (meta.loggedOut || halted || !authStore.account(folderName)) {
+        results.skipped.push(folderName);
+        continue;
+      }
+      if (runningByFolder(folderName)) continue;
+
+      const sessionId = meta.sessionId || uuidv4();
+      if (!meta.sessionId) {
+        try { writeMeta(dir, { sessionId, folderName }); } catch (e) {}
+      }
+
+      try {
+        await startBaileysForSession(sessionId, folderName);
+        logger.info({ sessionId, folder: folderName }, 'resumed');
+        events.broadcast('session_resumed', { sessionId, folderName });
+        results.resumed.push(folderName);
+      } catch (err) {
+        logger.error({ err, sessionId, folder: folderName }, 'resume failed');
+        events.broadcast('session_resume_failed', { sessionId, folderName, detail: String(err) });
+        results.failed.push(folderName);
+      }
+
+      await sleep(RESUME_DELAY_MS);
+    }
+
+    logger.info({ resumed: results.resumed.length, failed: results.failed.length, skipped: results.skipped.length }, 'boot resume done');
+    return results;
+  }
+
+  return { resolve, list, get, create, restart, destroy, stop, logout, updateSession, getGroups, getQr, sendMessage, getSettings, updateSettings,
+    getWebhooks, addWebhook, removeWebhook, retryDeadLetter, clearDeadLetters,
+    getAudit, exportAudit, getSchedules, addSchedule, removeSchedule, searchMessages, exportSession, importSession, resumeAll };
+}
+
+module.exports = { createSessionService };
@@ -0,0 +1,40 @@
+// Per-session activity counters for the dashboard
+// Kept in memory by sessionId, so they survive reconnects but start over on boot.
+
+/**
+ * createSessionStats
+ * - onChange: (sessionId) => void, called after every recorded event
+ */
+function createSessionStats({ onChange } = {}) {
+  const stats = new Map(); // sessionId -> { messages, commands, lastMessageAt, lastCommandAt }
+
+  function entry(sessionId) {
+    if (!stats.has(sessionId)) stats.set(sessionId, { messages: 0, commands: 0, lastMessageAt: null, lastCommandAt: null });
+    return stats.get(sessionId);
+  }
+
+  // kind: 'message' (every message handled) or 'command' (a command matched)
+  function record(sessionId, kind) {
+    const e = entry(sessionId);
+    if (kind === 'command') {
+      e.commands += 1;
+      e.lastCommandAt = Date.now();
+    } else {
+      e.messages += 1;
+      e.lastMessageAt = Date.now();
+    }
+    if (onChange) onChange(sessionId);
+  }
+
+  function get(sessionId) {
+    return { ...entry(sessionId) };
+  }
+
+  function forget(sessionId) {
+    stats.delete(sessionId);
+  }
+
+  return { record, get, forget };
+}
+
+module.exports = { createSessionStats };
@@ -0,0 +1,213 @@
+// Per-session, per-group settings
+// Stored as <auth folder>/settings.json next to meta.json:
+// {
+//   "session": { language, timezone, sudo, banned, commandRoles, storeMessages, messageRetentionDays },  // session-wide defaults
+//   "groups": { "<group jid>": { welcome, welcomeTemplate, goodbye, goodbyeTemplate, roleNotices, promoteTemplate,
+//                                demoteTemplate, noticePicture, prefix, language, kickallWhitelist, commandRoles,
+//                                antilink, antispam, spamMax, spamWindowSec, badwords, badwordsList, maxWarnings, antidelete } }
+// }
+// A group language of null means "use the session default"; an empty welcome
+// template means "use the localized default" (see lib/participantNotices.js). commandRoles are described in lib/permissions.js.
+const fs = require('fs');
+const path = require('path');
+const { LANGUAGES, FALLBACK_LANGUAGE } = require('./i18n');
+const { toJid } = require('./jid');
+const { ROLES, sanitizeRole } = require('./permissions');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'settings' });
+
+// IANA name, e.g. America/Port-au-Prince; throws on unknown zones
+function validateTimezone(timezone) {
+  const tz = String(timezone || '');
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+  } catch (e) {
+    throw new Error(`unknown timezone: ${tz}`);
+  }
+  return tz;
+}
+
+const DEFAULT_SESSION_SETTINGS = {
+  language: LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : FALLBACK_LANGUAGE,
+  timezone: process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone, // for schedules
+  sudo: [], // jids with sudo rights on every chat of the session
+  banned: [], // jids whose commands are ignored
+  commandRoles: {}, // command name -> role needed, session-wide
+  storeMessages: false, // keep a searchable message history (lib/messageStore.js)
+  messageRetentionDays: parseInt(process.env.MESSAGE_RETENTION_DAYS || '7', 10)
+};
+
+const DEFAULT_GROUP_SETTINGS = {
+  welcome: false,
+  welcomeTemplate: '',
+  goodbye: false,
+  goodbyeTemplate: '',
+  roleNotices: false, // announce promotions / demotions
+  promoteTemplate: '',
+  demoteTemplate: '',
+  noticePicture: false, // use the member's profile picture instead of the branding image
+  prefix: '.',
+  language: null,
+  kickallWhitelist: [], // jids kickall never removes
+  commandRoles: {}, // command name -> role needed in this group
+  // automatic moderation (lib/moderation.js)
+  antilink: false,
+  antispam: false,
+  spamMax: 6, // messages allowed per user...
+  spamWindowSec: 10, // ...within this many seconds
+  badwords: false,
+  badwordsList: [],
+  maxWarnings: 3, // warnings before the member is removed
+  antidelete: false // repost messages their author deleted for everyone (stores this group's messages)
+};
+
+// one store per auth folder, shared by the running session and the web UI
+const stores = new Map();
+
+function sanitizeLanguage(value, allowInherit) {
+  const language = String(value || '').toLowerCase();
+  if (allowInherit && (!language || language === 'default')) return null;
+  if (!LANGUAGES.includes(language)) throw new Error(`language must be one of ${LANGUAGES.join(', ')}`);
+  return language;
+}
+
+// array or "a, b c" string of numbers/jids -> unique jids
+function sanitizeJidList(value, max = 1000) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return Array.from(new Set(list.map(toJid).filter(Boolean))).slice(0, max);
+}
+
+function sanitizeInt(value, name, min, max) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < min || n > max) throw new Error(`${name} must be a number between ${min} and ${max}`);
+  return n;
+}
+
+// array or comma/newline separated string; words are compared case- and accent-insensitively
+function sanitizeWordList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,\n]+/);
+  const words = list.map(w => String(w || '').trim().toLowerCase().slice(0, 50)).filter(Boolean);
+  return Array.from(new Set(words)).slice(0, 200);
+}
+
+// { name: role }; an empty role drops the rule
+function sanitizeCommandRoles(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('commandRoles must be an object of command name -> role');
+  const out = {};
+  for (const [name, role] of Object.entries(value)) {
+    const key = String(name).toLowerCase();
+    if (!/^[a-z0-9_-]{1,30}$/.test(key)) throw new Error(`invalid command name: ${name}`);
+    if (role === null || role === '' || role === 'default') continue;
+    out[key] = sanitizeRole(role);
+  }
+  return out;
+}
+
+function sanitizeGroupPatch(patch) {
+  const out = {};
+  if (!patch || typeof patch !== 'object') return out;
+  for (const key of ['welcome', 'goodbye', 'roleNotices', 'noticePicture']) if (key in patch) out[key] = !!patch[key];
+  for (const key of ['welcomeTemplate', 'goodbyeTemplate', 'promoteTemplate', 'demoteTemplate']) {
+    if (key in patch) out[key] = String(patch[key] || '').slice(0, 1000);
+  }
+  if ('prefix' in patch) {
+    const prefix = String(patch.prefix || '').trim();
+    if (!prefix || prefix.length > 3 || /\s/.test(prefix)) throw new Error('prefix must be 1-3 non-space characters');
+    out.prefix = prefix;
+  }
+  if ('language' in patch) out.language = sanitizeLanguage(patch.language, true);
+  if ('kickallWhitelist' in patch) out.kickallWhitelist = sanitizeJidList(patch.kickallWhitelist);
+  if ('commandRoles' in patch) out.commandRoles = sanitizeCommandRoles(patch.commandRoles);
+  for (const key of ['antilink', 'antispam', 'badwords', 'antidelete']) if (key in patch) out[key] = !!patch[key];
+  if ('badwordsList' in patch) out.badwordsList = sanitizeWordList(patch.badwordsList);
+  if ('spamMax' in patch) out.spamMax = sanitizeInt(patch.spamMax, 'spamMax', 2, 50);
+  if ('spamWindowSec' in patch) out.spamWindowSec = sanitizeInt(patch.spamWindowSec, 'spamWindowSec', 2, 300);
+  if ('maxWarnings' in patch) out.maxWarnings = sanitizeInt(patch.maxWarnings, 'maxWarnings', 1, 20);
+  return out;
+}
+
+function sanitizeSessionPatch(patch) {
+  const out = {};
+  if (!patch || typeof patch !== 'object') return out;
+  if ('language' in patch) out.language = sanitizeLanguage(patch.language, false);
+  if ('timezone' in patch) out.timezone = validateTimezone(patch.timezone);
+  if ('sudo' in patch) out.sudo = sanitizeJidList(patch.sudo, 100);
+  if ('banned' in patch) out.banned = sanitizeJidList(patch.banned);
+  if ('commandRoles' in patch) out.commandRoles = sanitizeCommandRoles(patch.commandRoles);
+  if ('storeMessages' in patch) out.storeMessages = !!patch.storeMessages;
+  if ('messageRetentionDays' in patch) out.messageRetentionDays = sanitizeInt(patch.messageRetentionDays, 'messageRetentionDays', 1, 365);
+  return out;
+}
+
+function createSettingsStore(dir) {
+  const file = path.join(dir, 'settings.json');
+  let data = { session: {}, groups: {} };
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (parsed && typeof parsed === 'object') data = { ...parsed, session: parsed.session || {}, groups: parsed.groups || {} };
+    } catch (e) {
+      log.error({ err: e, file }, 'failed to read settings');
+    }
+  }
+
+  function save() {
+    if (!fs.existsSync(dir)) return;
+    // write to a temp file first so a crash can't leave half a JSON behind
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function getSession() {
+    return { ...DEFAULT_SESSION_SETTINGS, ...data.session };
+  }
+
+  function setSession(patch) {
+    data.session = { ...data.session, ...sanitizeSessionPatch(patch) };
+    save();
+    return getSession();
+  }
+
+  // effective settings for a chat (language resolved against the session default)
+  function get(jid) {
+    const g = { ...DEFAULT_GROUP_SETTINGS, ...(data.groups[jid] || {}) };
+    return { ...g, language: g.language || getSession().language };
+  }
+
+  function set(jid, patch) {
+    if (!jid) throw new Error('group jid required');
+    data.groups[jid] = { ...(data.groups[jid] || {}), ...sanitizeGroupPatch(patch) };
+    save();
+    return get(jid);
+  }
+
+  function remove(jid) {
+    delete data.groups[jid];
+    save();
+  }
+
+  // stored values (language null = inherits the session default)
+  function all() {
+    const groups = {};
+    for (const jid of Object.keys(data.groups)) groups[jid] = { ...DEFAULT_GROUP_SETTINGS, ...data.groups[jid] };
+    return { session: getSession(), defaults: { ...DEFAULT_GROUP_SETTINGS }, languages: LANGUAGES, roles: ROLES, groups };
+  }
+
+  load();
+  return { get, set, remove, getSession, setSession, all, file };
+}
+
+function getSettingsStore(dir) {
+  if (!stores.has(dir)) stores.set(dir, createSettingsStore(dir));
+  return stores.get(dir);
+}
+
+function dropSettingsStore(dir) {
+  stores.delete(dir);
+}
+
+module.exports = { DEFAULT_GROUP_SETTINGS, DEFAULT_SESSION_SETTINGS, validateTimezone, getSettingsStore, dropSettingsStore };
@@ -0,0 +1,77 @@
+// Moderation warnings per group and user
+// Stored as <auth folder>/warnings.json:
+// { "<group jid>": { "<user jid>": { count, reasons: [{ at, reason }] } } }
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'warnings' });
+
+const MAX_REASONS = 20;
+
+// one store per auth folder, shared by the running session and the API
+const stores = new Map();
+
+function createWarningStore(dir) {
+  const file = path.join(dir, 'warnings.json');
+  let data = {};
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (parsed && typeof parsed === 'object') data = parsed;
+    } catch (e) {
+      log.error({ err: e, file }, 'failed to read warnings');
+    }
+  }
+
+  function save() {
+    if (!fs.existsSync(dir)) return;
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function get(group, user) {
+    return (data[group] && data[group][user]) || { count: 0, reasons: [] };
+  }
+
+  // returns the user's new warning count
+  function add(group, user, reason) {
+    const current = get(group, user);
+    const entry = {
+      count: current.count + 1,
+      reasons: [...current.reasons, { at: Date.now(), reason }].slice(-MAX_REASONS)
+    };
+    data[group] = { ...(data[group] || {}), [user]: entry };
+    save();
+    return entry.count;
+  }
+
+  // one user, or everyone in the group when user is omitted
+  function reset(group, user) {
+    if (!data[group]) return;
+    if (user) delete data[group][user];
+    if (!user || !Object.keys(data[group]).length) delete data[group];
+    save();
+  }
+
+  function list(group) {
+    return { ...(data[group] || {}) };
+  }
+
+  load();
+  return { get, add, reset, list, file };
+}
+
+function getWarningStore(dir) {
+  if (!stores.has(dir)) stores.set(dir, createWarningStore(dir));
+  return stores.get(dir);
+}
+
+function dropWarningStore(dir) {
+  stores.delete(dir);
+}
+
+module.exports = { getWarningStore, dropWarningStore };
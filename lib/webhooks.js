@@ -0,0 +1,204 @@
+// Outgoing webhooks
+// Per-session subscriptions in <auth folder>/webhooks.json:
+// { "hooks": [{ id, url, secret, events: ['message', 'group.participants', 'connection'], createdAt }] }
+// Every delivery is a signed JSON POST:
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// Failed deliveries are retried with exponential backoff; after the last attempt
+// they are appended to <auth folder>/webhooks-dead.jsonl (dead letters).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'webhooks' });
+
+const WEBHOOK_EVENTS = ['message', 'group.participants', 'connection'];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+const BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10);
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const MAX_DEAD_LETTERS = 500;
+
+// one store per auth folder, shared by the running session and the API
+const stores = new Map();
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function validateUrl(url) {
+  let parsed;
+  try { parsed = new URL(String(url)); } catch (e) { throw new Error('invalid webhook url'); }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('webhook url must be http(s)');
+  return parsed.toString();
+}
+
+function createWebhookStore(dir) {
+  const file = path.join(dir, 'webhooks.json');
+  const deadFile = path.join(dir, 'webhooks-dead.jsonl');
+  let hooks = [];
+  const timers = new Set();
+
+  if (fs.existsSync(file)) {
+    try { hooks = JSON.parse(fs.readFileSync(file, 'utf8')).hooks || []; } catch (e) { log.error({ err: e, file }, 'failed to read webhooks'); }
+  }
+
+  function save() {
+    if (!fs.existsSync(dir)) return;
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ hooks }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // secrets are only returned once, when the hook is created
+  function publicHook(h) {
+    return { id: h.id, url: h.url, events: h.events, createdAt: h.createdAt, secret: h.secret.slice(0, 4) + '…' };
+  }
+
+  function list() {
+    return hooks.map(publicHook);
+  }
+
+  function add({ url, events, secret } = {}) {
+    const wanted = (Array.isArray(events) && events.length ? events : WEBHOOK_EVENTS).map(String);
+    const unknown = wanted.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) throw new Error(`unknown webhook events: ${unknown.join(', ')}`);
+    const hook = {
+      id: uuidv4(),
+      url: validateUrl(url),
+      secret: secret ? String(secret) : crypto.randomBytes(24).toString('hex'),
+      events: Array.from(new Set(wanted)),
+      createdAt: Date.now()
+    };
+    hooks.push(hook);
+    save();
+    return { ...publicHook(hook), secret: hook.secret };
+  }
+
+  function remove(hookId) {
+    const before = hooks.length;
+    hooks = hooks.filter(h => h.id !== hookId);
+    if (hooks.length === before) throw new Error('unknown webhook');
+    save();
+  }
+
+  function readDeadLetters() {
+    if (!fs.existsSync(deadFile)) return [];
+    return fs.readFileSync(deadFile, 'utf8').split('\n').filter(Boolean).map(line => {
+      try { return JSON.parse(line); } catch (e) { return null; }
+    }).filter(Boolean);
+  }
+
+  function writeDeadLetters(entries) {
+    if (!fs.existsSync(dir)) return;
+    fs.writeFileSync(deadFile, entries.map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : ''));
+  }
+
+  function addDeadLetter(entry) {
+    if (!fs.existsSync(dir)) return;
+    fs.appendFileSync(deadFile, JSON.stringify(entry) + '\n');
+    // keep the file bounded
+    const all = readDeadLetters();
+    if (all.length > MAX_DEAD_LETTERS) writeDeadLetters(all.slice(-MAX_DEAD_LETTERS));
+  }
+
+  // newest first
+  function deadLetters(limit = 50) {
+    return readDeadLetters().reverse().slice(0, limit);
+  }
+
+  function clearDeadLetters() {
+    writeDeadLetters([]);
+  }
+
+  async function post(hook, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Date.now());
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+      const res = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-webhook-id': payload.id,
+          'x-webhook-event': payload.event,
+          'x-webhook-timestamp': timestamp,
+          'x-webhook-signature': sign(hook.secret, timestamp, body)
+        },
+        body,
+        signal: controller.signal
+      });
+      if (!res.ok) throw new Error('status ' + res.status);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function deliver(hook, payload, attempt = 1) {
+    post(hook, payload).catch(err => {
+      if (attempt < MAX_ATTEMPTS) {
+        // 2s, 4s, 8s... with a little jitter
+        const delay = BASE_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 500);
+        const t = setTimeout(() => {
+          timers.delete(t);
+          // hook removed meanwhile -> drop
+          const current = hooks.find(h => h.id === hook.id);
+          if (current) deliver(current, payload, attempt + 1);
+        }, delay);
+        timers.add(t);
+        return;
+      }
+      log.error({ err, deliveryId: payload.id, url: hook.url, attempts: attempt }, 'webhook delivery failed');
+      addDeadLetter({
+        deliveryId: payload.id,
+        hookId: hook.id,
+        url: hook.url,
+        event: payload.event,
+        attempts: attempt,
+        lastError: String(err.message || err),
+        failedAt: Date.now(),
+        payload
+      });
+    });
+  }
+
+  // fire-and-forget: never blocks message handling
+  function dispatch(event, sessionId, data) {
+    const targets = hooks.filter(h => h.events.includes(event));
+    if (!targets.length) return;
+    const payload = { id: uuidv4(), event, sessionId, timestamp: Date.now(), data };
+    for (const hook of targets) deliver(hook, payload);
+  }
+
+  // retry a dead letter once more (full retry cycle), removing it from the file
+  function retryDeadLetter(deliveryId) {
+    const all = readDeadLetters();
+    const entry = all.find(e => e.deliveryId === deliveryId);
+    if (!entry) throw new Error('unknown dead letter');
+    const hook = hooks.find(h => h.id === entry.hookId);
+    if (!hook) throw new Error('webhook was removed');
+    writeDeadLetters(all.filter(e => e !== entry));
+    deliver(hook, entry.payload);
+  }
+
+  function close() {
+    for (const t of timers) clearTimeout(t);
+    timers.clear();
+  }
+
+  return { list, add, remove, dispatch, deadLetters, retryDeadLetter, clearDeadLetters, close };
+}
+
+function getWebhookStore(dir) {
+  if (!stores.has(dir)) stores.set(dir, createWebhookStore(dir));
+  return stores.get(dir);
+}
+
+function dropWebhookStore(dir) {
+  const store = stores.get(dir);
+  if (store) store.close();
+  stores.delete(dir);
+}
+
+module.exports = { WEBHOOK_EVENTS, getWebhookStore, dropWebhookStore };
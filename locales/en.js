@@ -0,0 +1,117 @@
+// English
+module.exports = {
+  'common.groupOnly': '*{command}* only works in groups',
+  'common.adminOnly': 'You must be a group admin to use *{command}*',
+  'common.roleRequired': '*{command}* is restricted to: {role}',
+  'role.member': 'member',
+  'role.admin': 'group admin',
+  'role.sudo': 'sudo',
+  'role.owner': 'bot owner',
+
+  'tagall.failed': 'Error: couldn\'t fetch the group info.',
+  'hidetag.usage': 'Send `hidetag [text]`',
+  'hidetag.failed': 'Hidetag failed.',
+  'del.usage': 'Reply to a message with {prefix}del to delete it',
+  'del.failed': 'Couldn\'t delete this message',
+  'kickall.failed': 'Kickall failed: {error}',
+  'kickall.nothing': 'No members to remove.',
+  'kickall.dryRun': 'Dry run: {count} members would be removed ({kept} kept):\n{list}',
+  'kickall.preview': '⚠️ {count} members will be removed ({kept} kept). Reply `{prefix}confirm` within {seconds}s to start or `{prefix}cancel` to abort.',
+  'kickall.expired': 'Kickall cancelled: not confirmed in time.',
+  'kickall.started': 'Kickall started: {count} members.',
+  'kickall.progress': 'Progress: {done}/{total}',
+  'kickall.summary': 'Kickall done: {removed} removed, {failed} failed in {seconds}s. Use `{prefix}readd` to add them back.',
+  'confirm.none': 'Nothing to confirm.',
+  'cancel.done': 'Action cancelled.',
+  'readd.none': 'No kickall list to restore for this group.',
+  'readd.started': 'Adding back {count} members…',
+  'readd.summary': 'Done: {added} added back, {failed} failed.',
+  'whitelist.empty': 'The kickall whitelist is empty.',
+  'whitelist.list': 'Kickall whitelist:\n{list}',
+  'whitelist.usage': 'Use `{prefix}whitelist add @user` or `{prefix}whitelist remove @user`',
+  'whitelist.updated': 'Whitelist updated ({count} numbers).',
+  'qr.usage': '`{prefix}qr [text]`',
+  'qr.failed': 'Couldn\'t generate the QR.',
+  'sticker.usage': 'Reply to an image with `{prefix}sticker` (or use `{prefix}sticker` as its caption).',
+  'toimg.usage': 'Reply to a sticker with `{prefix}toimg`.',
+  'dl.usage': 'Reply to a media with `{prefix}dl` to get it as a file.',
+  'vv.usage': 'Reply to a view-once photo, video or voice note with `{prefix}vv`.',
+  'media.tooLarge': 'Media too large (max {max} MB).',
+  'media.failed': 'Couldn\'t process this media.',
+  'image.caption': 'Here is the image.',
+  'kick.usage': 'Reply to or tag the user to remove, e.g. kick @user',
+  'kick.failed': 'Couldn\'t remove {user}',
+  'kick.notMember': '{user} is not in the group',
+  'add.usage': 'Numbers must be written without spaces, e.g. add +50935492574',
+  'add.failed': 'Couldn\'t add {user}',
+  'promote.usage': 'Reply to or tag the user, e.g. promote @user',
+  'promote.failed': 'Couldn\'t promote {user}',
+  'delmote.usage': 'Reply to or tag the user, e.g. delmote @user',
+  'delmote.failed': 'Couldn\'t demote {user}',
+  'ferme.done': 'The group is closed "admins only"',
+  'ferme.failed': 'Couldn\'t close the group.',
+  'ouvert.done': 'The group is open',
+  'ouvert.failed': 'Couldn\'t open the group.',
+  'schedule.empty': 'No schedules for this group.',
+  'schedule.header': '{count} schedule(s):',
+  'schedule.line': '#{id} {action} `{cron}` ({timezone}) next: {next}{text}',
+  'schedule.usage': 'Use `{prefix}schedule {actions} <min> <hour> <day> <month> <weekday> [text]`, e.g. `{prefix}schedule close 0 22 * * *`',
+  'schedule.added': 'Schedule #{id} added: {action} `{cron}` ({timezone}), next: {next}',
+  'schedule.invalid': 'Schedule rejected: {error}',
+  'schedule.unknown': 'No schedule #{id} in this group.',
+  'schedule.removed': 'Schedule #{id} removed.',
+  'bienvenue.status': 'Welcome: {state}',
+  'aurevoir.status': 'Goodbye messages: {state}',
+  'notifrole.status': 'Promotion / demotion notices: {state}',
+  'template.usage': 'Use `{prefix}template {events} [text | reset]` — placeholders: {user} {group} {desc} {count} {author}',
+  'template.current': '*{event}* template:\n{template}',
+  'template.set': '*{event}* template saved.',
+  'template.reset': '*{event}* template reset to default.',
+  'template.photo': 'Member profile picture: {state}',
+  'moderation.reason.link': 'invite link not allowed',
+  'moderation.reason.spam': 'too many messages',
+  'moderation.reason.badword': 'banned word',
+  'moderation.warned': '⚠️ @{user} warning {count}/{max}: {reason}',
+  'moderation.kicked': '@{user} removed after {max} warnings ({reason})',
+  'antilink.status': 'Antilink: {state}',
+  'antispam.status': 'Antispam: {state} (max {max} messages in {seconds}s)',
+  'antispam.usage': 'Use `{prefix}antispam on [messages] [seconds]` ({error})',
+  'badwords.status': 'Word filter: {state} ({count} words)',
+  'badwords.usage': 'Use `{prefix}badwords on | off | add word1, word2 | remove word1`',
+  'badwords.updated': 'Word list updated ({count} words).',
+  'maxwarn.status': 'Members are removed after {max} warnings.',
+  'maxwarn.usage': 'Use `{prefix}maxwarn <n>` ({error})',
+  'resetwarn.usage': 'Use `{prefix}resetwarn @user` or `{prefix}resetwarn all`',
+  'resetwarn.done': 'Cleared {user}\'s warnings ({count}).',
+  'resetwarn.all': 'All warnings in this group were cleared.',
+  'antidelete.status': 'Antidelete: {state}',
+  'antidelete.notice': '🗑️ @{user} deleted a message ({time}):\n{text}',
+  'dh7.alreadyOn': 'Invisible mode already on.',
+  'dh7.on': 'Invisible mode on: sending blank messages.',
+  'lang.current': 'Group language: {language}',
+  'lang.set': 'Group language changed: {language}',
+  'lang.usage': 'Use `{prefix}lang {languages}` or `{prefix}lang default`',
+  'logs.empty': 'No actions recorded for this group.',
+  'logs.header': 'Last {count} actions (of {total}):',
+  'logs.line': '{at} {actor} {action} {targets} {result}',
+  'sudo.empty': 'No sudo users.',
+  'sudo.list': 'Sudo users:\n{list}',
+  'sudo.usage': 'Use `{prefix}sudo add @user` or `{prefix}sudo remove @user`',
+  'sudo.updated': 'Sudo list updated ({count} numbers).',
+  'ban.empty': 'No banned users.',
+  'ban.list': 'Banned users:\n{list}',
+  'ban.owner': 'The bot owner can\'t be banned.',
+  'ban.done': '{users} banned ({count} in total).',
+  'unban.usage': 'Use `{prefix}unban @user`',
+  'unban.done': '{users} unbanned ({count} left).',
+  'perm.none': 'No command rules here, default roles apply.',
+  'perm.list': 'Command rules:\n{list}',
+  'perm.usage': 'Use `{prefix}perm <command> {roles} | reset`',
+  'perm.denied': 'You can\'t change this rule.',
+  'perm.set': '*{command}* is now restricted to: {role}',
+
+  'welcome.default': 'Welcome @{user} to {group}',
+  'goodbye.default': 'Goodbye @{user}, {group} now has {count} members',
+  'promoted.default': '@{user} is now an admin of {group}',
+  'demoted.default': '@{user} is no longer an admin of {group}'
+};
@@ -0,0 +1,117 @@
+// Français
+module.exports = {
+  'common.groupOnly': '*{command}* n\'est que pour les groupes',
+  'common.adminOnly': 'Tu n\'es pas admin, tu ne peux pas utiliser *{command}*',
+  'common.roleRequired': '*{command}* est réservé: {role}',
+  'role.member': 'membre',
+  'role.admin': 'admin du groupe',
+  'role.sudo': 'sudo',
+  'role.owner': 'propriétaire du bot',
+
+  'tagall.failed': 'Erreur: impossible de récupérer les infos du groupe.',
+  'hidetag.usage': 'Envoie `hidetag [texte]`',
+  'hidetag.failed': 'Hidetag a échoué.',
+  'del.usage': 'Réponds à un message avec {prefix}del pour le supprimer',
+  'del.failed': 'Impossible d\'effacer ce message',
+  'kickall.failed': 'Kickall a échoué: {error}',
+  'kickall.nothing': 'Aucun membre à retirer.',
+  'kickall.dryRun': 'Simulation: {count} membres seraient retirés ({kept} gardés):\n{list}',
+  'kickall.preview': '⚠️ {count} membres vont être retirés ({kept} gardés). Réponds `{prefix}confirm` dans {seconds}s pour lancer ou `{prefix}cancel` pour annuler.',
+  'kickall.expired': 'Kickall annulé: pas de confirmation à temps.',
+  'kickall.started': 'Kickall lancé: {count} membres.',
+  'kickall.progress': 'Progression: {done}/{total}',
+  'kickall.summary': 'Kickall terminé: {removed} retirés, {failed} échecs en {seconds}s. `{prefix}readd` pour les réinviter.',
+  'confirm.none': 'Rien à confirmer.',
+  'cancel.done': 'Action annulée.',
+  'readd.none': 'Aucune liste de kickall à restaurer pour ce groupe.',
+  'readd.started': 'Ré-ajout de {count} membres…',
+  'readd.summary': 'Ré-ajout terminé: {added} ajoutés, {failed} échecs.',
+  'whitelist.empty': 'La liste blanche kickall est vide.',
+  'whitelist.list': 'Liste blanche kickall:\n{list}',
+  'whitelist.usage': 'Utilise `{prefix}whitelist add @user` ou `{prefix}whitelist remove @user`',
+  'whitelist.updated': 'Liste blanche mise à jour ({count} numéros).',
+  'qr.usage': '`{prefix}qr [texte]`',
+  'qr.failed': 'Impossible de générer le QR.',
+  'sticker.usage': 'Réponds à une image avec `{prefix}sticker` (ou mets `{prefix}sticker` en légende).',
+  'toimg.usage': 'Réponds à un sticker avec `{prefix}toimg`.',
+  'dl.usage': 'Réponds à un média avec `{prefix}dl` pour le recevoir en fichier.',
+  'vv.usage': 'Réponds à une photo, vidéo ou note vocale à vue unique avec `{prefix}vv`.',
+  'media.tooLarge': 'Média trop volumineux (max {max} Mo).',
+  'media.failed': 'Impossible de traiter ce média.',
+  'image.caption': 'Voici l\'image.',
+  'kick.usage': 'Réponds ou tague l\'utilisateur à retirer, ex: kick @user',
+  'kick.failed': 'Impossible de retirer {user}',
+  'kick.notMember': '{user} n\'est pas dans le groupe',
+  'add.usage': 'Les numéros doivent être collés, ex: add +50935492574',
+  'add.failed': 'Impossible d\'ajouter {user}',
+  'promote.usage': 'Réponds ou tague l\'utilisateur, ex: promote @user',
+  'promote.failed': 'Impossible de promouvoir {user}',
+  'delmote.usage': 'Réponds ou tague l\'utilisateur, ex: delmote @user',
+  'delmote.failed': 'Impossible de rétrograder {user}',
+  'ferme.done': 'Le groupe est fermé "admins only"',
+  'ferme.failed': 'Impossible de fermer le groupe.',
+  'ouvert.done': 'Le groupe est ouvert',
+  'ouvert.failed': 'Impossible d\'ouvrir le groupe.',
+  'schedule.empty': 'Aucune planification pour ce groupe.',
+  'schedule.header': '{count} planification(s):',
+  'schedule.line': '#{id} {action} `{cron}` ({timezone}) prochain: {next}{text}',
+  'schedule.usage': 'Utilise `{prefix}schedule {actions} <min> <heure> <jour> <mois> <jour-semaine> [texte]`, ex: `{prefix}schedule close 0 22 * * *`',
+  'schedule.added': 'Planification #{id} ajoutée: {action} `{cron}` ({timezone}), prochain: {next}',
+  'schedule.invalid': 'Planification refusée: {error}',
+  'schedule.unknown': 'Planification #{id} introuvable dans ce groupe.',
+  'schedule.removed': 'Planification #{id} supprimée.',
+  'bienvenue.status': 'Bienvenue: {state}',
+  'aurevoir.status': 'Au revoir: {state}',
+  'notifrole.status': 'Annonces promotion / rétrogradation: {state}',
+  'template.usage': 'Utilise `{prefix}template {events} [texte | reset]` — variables: {user} {group} {desc} {count} {author}',
+  'template.current': 'Modèle *{event}*:\n{template}',
+  'template.set': 'Modèle *{event}* enregistré.',
+  'template.reset': 'Modèle *{event}* remis par défaut.',
+  'template.photo': 'Photo de profil du membre: {state}',
+  'moderation.reason.link': 'lien d\'invitation interdit',
+  'moderation.reason.spam': 'trop de messages',
+  'moderation.reason.badword': 'mot interdit',
+  'moderation.warned': '⚠️ @{user} avertissement {count}/{max}: {reason}',
+  'moderation.kicked': '@{user} retiré après {max} avertissements ({reason})',
+  'antilink.status': 'Antilink: {state}',
+  'antispam.status': 'Antispam: {state} (max {max} messages en {seconds}s)',
+  'antispam.usage': 'Utilise `{prefix}antispam on [messages] [secondes]` ({error})',
+  'badwords.status': 'Filtre de mots: {state} ({count} mots)',
+  'badwords.usage': 'Utilise `{prefix}badwords on | off | add mot1, mot2 | remove mot1`',
+  'badwords.updated': 'Liste de mots mise à jour ({count} mots).',
+  'maxwarn.status': 'Retrait après {max} avertissements.',
+  'maxwarn.usage': 'Utilise `{prefix}maxwarn <n>` ({error})',
+  'resetwarn.usage': 'Utilise `{prefix}resetwarn @user` ou `{prefix}resetwarn all`',
+  'resetwarn.done': 'Avertissements de {user} effacés ({count}).',
+  'resetwarn.all': 'Tous les avertissements du groupe sont effacés.',
+  'antidelete.status': 'Antidelete: {state}',
+  'antidelete.notice': '🗑️ @{user} a supprimé un message ({time}):\n{text}',
+  'dh7.alreadyOn': 'Mode invisible déjà activé.',
+  'dh7.on': 'Mode invisible activé: envoi de messages vides.',
+  'lang.current': 'Langue du groupe: {language}',
+  'lang.set': 'Langue du groupe changée: {language}',
+  'lang.usage': 'Utilise `{prefix}lang {languages}` ou `{prefix}lang default`',
+  'logs.empty': 'Aucune action enregistrée pour ce groupe.',
+  'logs.header': '{count} dernières actions (sur {total}):',
+  'logs.line': '{at} {actor} {action} {targets} {result}',
+  'sudo.empty': 'Aucun utilisateur sudo.',
+  'sudo.list': 'Utilisateurs sudo:\n{list}',
+  'sudo.usage': 'Utilise `{prefix}sudo add @user` ou `{prefix}sudo remove @user`',
+  'sudo.updated': 'Liste sudo mise à jour ({count} numéros).',
+  'ban.empty': 'Aucun utilisateur banni.',
+  'ban.list': 'Utilisateurs bannis:\n{list}',
+  'ban.owner': 'Impossible de bannir le propriétaire du bot.',
+  'ban.done': '{users} banni(s) ({count} au total).',
+  'unban.usage': 'Utilise `{prefix}unban @user`',
+  'unban.done': '{users} débanni(s) ({count} restants).',
+  'perm.none': 'Aucune règle de commande ici, les rôles par défaut s\'appliquent.',
+  'perm.list': 'Règles de commande:\n{list}',
+  'perm.usage': 'Utilise `{prefix}perm <commande> {roles} | reset`',
+  'perm.denied': 'Tu ne peux pas changer cette règle.',
+  'perm.set': '*{command}* est maintenant réservé: {role}',
+
+  'welcome.default': 'Bienvenue à toi @{user} dans {group}',
+  'goodbye.default': 'Au revoir @{user}, {group} compte maintenant {count} membres',
+  'promoted.default': '@{user} est maintenant admin de {group}',
+  'demoted.default': '@{user} n\'est plus admin de {group}'
+};
@@ -0,0 +1,117 @@
+// Kreyòl ayisyen
+module.exports = {
+  'common.groupOnly': '*{command}* se pou gwoup sèlman',
+  'common.adminOnly': 'Ou pa gen dwa admin pou itilize *{command}*',
+  'common.roleRequired': '*{command}* se pou: {role}',
+  'role.member': 'manm',
+  'role.admin': 'admin gwoup la',
+  'role.sudo': 'sudo',
+  'role.owner': 'mèt bot la',
+
+  'tagall.failed': 'Erè: pa kapab jwenn enfòmasyon gwoup la.',
+  'hidetag.usage': 'Voye `hidetag [tèks]`',
+  'hidetag.failed': 'Hidetag pa mache.',
+  'del.usage': 'Reponn yon mesaj ak {prefix}del pou efase l',
+  'del.failed': 'Pa kapab efase mesaj sa a',
+  'kickall.failed': 'Kickall echwe: {error}',
+  'kickall.nothing': 'Pa gen manm pou retire.',
+  'kickall.dryRun': 'Simulasyon: {count} manm ta soti ({kept} rete):\n{list}',
+  'kickall.preview': '⚠️ {count} manm pral soti ({kept} rete). Reponn `{prefix}confirm` nan {seconds}s pou kòmanse oswa `{prefix}cancel` pou anile.',
+  'kickall.expired': 'Kickall anile: pa gen konfimasyon a tan.',
+  'kickall.started': 'Kickall kòmanse: {count} manm.',
+  'kickall.progress': 'Pwogrè: {done}/{total}',
+  'kickall.summary': 'Kickall fini: {removed} retire, {failed} echèk nan {seconds}s. `{prefix}readd` pou remete yo.',
+  'confirm.none': 'Pa gen anyen pou konfime.',
+  'cancel.done': 'Aksyon an anile.',
+  'readd.none': 'Pa gen lis kickall pou remete nan gwoup sa a.',
+  'readd.started': 'N ap remete {count} manm…',
+  'readd.summary': 'Fini: {added} remete, {failed} echèk.',
+  'whitelist.empty': 'Lis blanch kickall la vid.',
+  'whitelist.list': 'Lis blanch kickall:\n{list}',
+  'whitelist.usage': 'Itilize `{prefix}whitelist add @user` oswa `{prefix}whitelist remove @user`',
+  'whitelist.updated': 'Lis blanch la mete ajou ({count} nimewo).',
+  'qr.usage': '`{prefix}qr [tèks]`',
+  'qr.failed': 'Pa kapab jenere QR.',
+  'sticker.usage': 'Reponn yon imaj ak `{prefix}sticker` (oswa mete `{prefix}sticker` kòm lejann).',
+  'toimg.usage': 'Reponn yon sticker ak `{prefix}toimg`.',
+  'dl.usage': 'Reponn yon medya ak `{prefix}dl` pou w resevwa l kòm fichye.',
+  'vv.usage': 'Reponn yon foto, videyo oswa nòt vokal pou yon sèl fwa ak `{prefix}vv`.',
+  'media.tooLarge': 'Medya a twò gwo (max {max} Mo).',
+  'media.failed': 'Pa kapab trete medya sa a.',
+  'image.caption': 'Men imaj la.',
+  'kick.usage': 'Reponn oswa tag moun ou vle retire a, egz: kick @user',
+  'kick.failed': 'Pa kapab retire {user}',
+  'kick.notMember': '{user} pa nan gwoup la',
+  'add.usage': 'Nimewo yo dwe kole, egz: add +50935492574',
+  'add.failed': 'Pa kapab ajoute {user}',
+  'promote.usage': 'Reponn oswa tag moun nan, egz: promote @user',
+  'promote.failed': 'Pa kapab fè {user} admin',
+  'delmote.usage': 'Reponn oswa tag moun nan, egz: delmote @user',
+  'delmote.failed': 'Pa kapab retire {user} admin',
+  'ferme.done': 'Gwoup la fèmen "admins only"',
+  'ferme.failed': 'Pa kapab fèmen gwoup la.',
+  'ouvert.done': 'Gwoup la louvri',
+  'ouvert.failed': 'Pa kapab louvri gwoup la.',
+  'schedule.empty': 'Pa gen okenn pwogram pou gwoup sa a.',
+  'schedule.header': '{count} pwogram:',
+  'schedule.line': '#{id} {action} `{cron}` ({timezone}) pwochen: {next}{text}',
+  'schedule.usage': 'Itilize `{prefix}schedule {actions} <min> <è> <jou> <mwa> <jou-semèn> [tèks]`, egz: `{prefix}schedule close 0 22 * * *`',
+  'schedule.added': 'Pwogram #{id} ajoute: {action} `{cron}` ({timezone}), pwochen: {next}',
+  'schedule.invalid': 'Pwogram nan refize: {error}',
+  'schedule.unknown': 'Pa jwenn pwogram #{id} nan gwoup sa a.',
+  'schedule.removed': 'Pwogram #{id} efase.',
+  'bienvenue.status': 'Byenveni: {state}',
+  'aurevoir.status': 'Orevwa: {state}',
+  'notifrole.status': 'Anons pwomosyon / retrogradasyon: {state}',
+  'template.usage': 'Itilize `{prefix}template {events} [tèks | reset]` — varyab: {user} {group} {desc} {count} {author}',
+  'template.current': 'Modèl *{event}*:\n{template}',
+  'template.set': 'Modèl *{event}* anrejistre.',
+  'template.reset': 'Modèl *{event}* tounen pa defo.',
+  'template.photo': 'Foto pwofil manm nan: {state}',
+  'moderation.reason.link': 'lyen envitasyon entèdi',
+  'moderation.reason.spam': 'twòp mesaj',
+  'moderation.reason.badword': 'mo entèdi',
+  'moderation.warned': '⚠️ @{user} avètisman {count}/{max}: {reason}',
+  'moderation.kicked': '@{user} retire apre {max} avètisman ({reason})',
+  'antilink.status': 'Antilink: {state}',
+  'antispam.status': 'Antispam: {state} (maks {max} mesaj nan {seconds}s)',
+  'antispam.usage': 'Itilize `{prefix}antispam on [mesaj] [segonn]` ({error})',
+  'badwords.status': 'Filt mo: {state} ({count} mo)',
+  'badwords.usage': 'Itilize `{prefix}badwords on | off | add mo1, mo2 | remove mo1`',
+  'badwords.updated': 'Lis mo yo mete ajou ({count} mo).',
+  'maxwarn.status': 'Retire apre {max} avètisman.',
+  'maxwarn.usage': 'Itilize `{prefix}maxwarn <n>` ({error})',
+  'resetwarn.usage': 'Itilize `{prefix}resetwarn @user` oswa `{prefix}resetwarn all`',
+  'resetwarn.done': 'Avètisman {user} yo efase ({count}).',
+  'resetwarn.all': 'Tout avètisman gwoup la efase.',
+  'antidelete.status': 'Antidelete: {state}',
+  'antidelete.notice': '🗑️ @{user} efase yon mesaj ({time}):\n{text}',
+  'dh7.alreadyOn': 'Mòd envizib deja aktive.',
+  'dh7.on': 'Mòd envizib aktive: ap voye mesaj vid.',
+  'lang.current': 'Lang gwoup la: {language}',
+  'lang.set': 'Lang gwoup la chanje: {language}',
+  'lang.usage': 'Itilize `{prefix}lang {languages}` oswa `{prefix}lang default`',
+  'logs.empty': 'Pa gen okenn aksyon anrejistre pou gwoup sa a.',
+  'logs.header': '{count} dènye aksyon (sou {total}):',
+  'logs.line': '{at} {actor} {action} {targets} {result}',
+  'sudo.empty': 'Pa gen itilizatè sudo.',
+  'sudo.list': 'Itilizatè sudo:\n{list}',
+  'sudo.usage': 'Itilize `{prefix}sudo add @user` oswa `{prefix}sudo remove @user`',
+  'sudo.updated': 'Lis sudo a mete ajou ({count} nimewo).',
+  'ban.empty': 'Pa gen itilizatè ki bani.',
+  'ban.list': 'Itilizatè ki bani:\n{list}',
+  'ban.owner': 'Ou pa ka bani mèt bot la.',
+  'ban.done': '{users} bani ({count} an tout).',
+  'unban.usage': 'Itilize `{prefix}unban @user`',
+  'unban.done': '{users} pa bani ankò ({count} ki rete).',
+  'perm.none': 'Pa gen règ kòmand isit la, wòl pa defo yo aplike.',
+  'perm.list': 'Règ kòmand:\n{list}',
+  'perm.usage': 'Itilize `{prefix}perm <kòmand> {roles} | reset`',
+  'perm.denied': 'Ou pa ka chanje règ sa a.',
+  'perm.set': '*{command}* se pou: {role} kounye a',
+
+  'welcome.default': 'Byenveni @{user} nan {group}',
+  'goodbye.default': 'Orevwa @{user}, {group} gen {count} manm kounye a',
+  'promoted.default': '@{user} se admin {group} kounye a',
+  'demoted.default': '@{user} pa admin {group} ankò'
+};
@@ -0,0 +1,161 @@
+// REST API for session management — same service layer as the socket.io handlers
+// All routes require the API token (Authorization: Bearer <token>).
+const express = require('express');
+const multer = require('multer');
+const QRCode = require('qrcode');
+const { httpError } = require('../lib/httpError');
+
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || String(16 * 1024 * 1024), 10);
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 } })
+  .fields([{ name: 'image', maxCount: 1 }, { name: 'document', maxCount: 1 }]);
+
+// session bundle import: one "bundle" file + a "passphrase" field
+const uploadBundle = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 } })
+  .single('bundle');
+
+// multer errors carry no status: map them to 400/413
+function multerErrors(middleware) {
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return next(httpError(413, `file larger than ${UPLOAD_MAX_BYTES} bytes`));
+    next(httpError(400, err.message));
+  });
+}
+const uploadMedia = multerErrors(upload);
+
+function createSessionsRouter(service) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json(service.list());
+  });
+
+  router.post('/', async (req, res) => {
+    const created = await service.create(req.body || {});
+    res.status(201).json(created);
+  });
+
+  // multipart: bundle (file from POST /:id/export), passphrase, start? (default true)
+  router.post('/import', multerErrors(uploadBundle), async (req, res) => {
+    const body = req.body || {};
+    const created = await service.importSession({ bundle: req.file && req.file.buffer, passphrase: body.passphrase, start: body.start });
+    res.status(201).json(created);
+  });
+
+  router.get('/:id', (req, res) => {
+    res.json(service.get(req.params.id));
+  });
+
+  // body: { name?, profile? }
+  router.patch('/:id', (req, res) => {
+    res.json(service.updateSession(req.params.id, req.body || {}));
+  });
+
+  router.post('/:id/restart', async (req, res) => {
+    res.json(await service.restart(req.params.id));
+  });
+
+  router.post('/:id/logout', async (req, res) => {
+    res.json(await service.logout(req.params.id));
+  });
+
+  // ?refresh=1 refetches the list from WhatsApp
+  router.get('/:id/groups', async (req, res) => {
+    res.json(await service.getGroups(req.params.id, req.query));
+  });
+
+  router.delete('/:id', (req, res) => {
+    res.json(service.destroy(req.params.id));
+  });
+
+  // body: { passphrase } — downloads the encrypted session bundle (creds, keys, meta, settings)
+  router.post('/:id/export', (req, res) => {
+    const out = service.exportSession(req.params.id, req.body || {});
+    res.attachment(out.filename).type(out.contentType).send(out.body);
+  });
+
+  // ?format=png returns the QR image itself (404 when no QR is pending)
+  router.get('/:id/qr', async (req, res) => {
+    const out = service.getQr(req.params.id);
+    if (req.query.format !== 'png') return res.json(out);
+    if (!out.qr) return res.status(404).json({ error: 'no QR pending', state: out.state });
+    if (out.qr.qrDataUrl) {
+      const b64 = out.qr.qrDataUrl.split(',')[1] || '';
+      return res.type('png').send(Buffer.from(b64, 'base64'));
+    }
+    res.type('png').send(await QRCode.toBuffer(out.qr.qrString));
+  });
+
+  // send text / image / document — JSON body or multipart with an "image" or "document" file
+  router.post('/:id/messages', uploadMedia, async (req, res) => {
+    const files = {};
+    for (const [field, arr] of Object.entries(req.files || {})) files[field] = arr[0];
+    res.status(201).json(await service.sendMessage(req.params.id, req.body || {}, files));
+  });
+
+  router.get('/:id/settings', (req, res) => {
+    res.json(service.getSettings(req.params.id));
+  });
+
+  // body: { jid, settings }, { jid, remove: true } or { session: { language, timezone, sudo, banned, commandRoles, storeMessages, messageRetentionDays } }
+  router.patch('/:id/settings', (req, res) => {
+    res.json(service.updateSettings(req.params.id, req.body || {}));
+  });
+
+  // outgoing webhooks
+  router.get('/:id/webhooks', (req, res) => {
+    res.json(service.getWebhooks(req.params.id));
+  });
+
+  // body: { url, events?, secret? } — the secret is only returned here
+  router.post('/:id/webhooks', (req, res) => {
+    res.status(201).json(service.addWebhook(req.params.id, req.body || {}));
+  });
+
+  // before /:hookId, which would otherwise take "dead" as a hook id
+  router.delete('/:id/webhooks/dead', (req, res) => {
+    res.json(service.clearDeadLetters(req.params.id));
+  });
+
+  router.delete('/:id/webhooks/:hookId', (req, res) => {
+    res.json(service.removeWebhook(req.params.id, req.params.hookId));
+  });
+
+  router.post('/:id/webhooks/dead/:deliveryId/retry', (req, res) => {
+    res.json(service.retryDeadLetter(req.params.id, req.params.deliveryId));
+  });
+
+  // audit log: ?page=&pageSize=&group= ; /export?format=csv|json downloads everything
+  router.get('/:id/audit', (req, res) => {
+    res.json(service.getAudit(req.params.id, req.query));
+  });
+
+  router.get('/:id/audit/export', (req, res) => {
+    const out = service.exportAudit(req.params.id, req.query);
+    res.attachment(out.filename).type(out.contentType).send(out.body);
+  });
+
+  // cron schedules: ?group= to filter
+  router.get('/:id/schedules', (req, res) => {
+    res.json(service.getSchedules(req.params.id, req.query));
+  });
+
+  // body: { group, cron, action: open|close|message|hidetag, text?, timezone? }
+  router.post('/:id/schedules', (req, res) => {
+    res.status(201).json(service.addSchedule(req.params.id, req.body || {}));
+  });
+
+  router.delete('/:id/schedules/:scheduleId', (req, res) => {
+    res.json(service.removeSchedule(req.params.id, req.params.scheduleId));
+  });
+
+  // stored messages: ?group=&sender=&text=&page=&pageSize= ; &deleted=1 for deleted messages
+  router.get('/:id/history', (req, res) => {
+    res.json(service.searchMessages(req.params.id, req.query));
+  });
+
+  return router;
+}
+
+module.exports = { createSessionsRouter };
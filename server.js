@@ -7,15 +7,39 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const fs = require('fs');
-const pino = require('pino');
 const QRCode = require('qrcode');
-const { v4: uuidv4 } = require('uuid');
+const commands = require('./commands');
+const { getSettingsStore } = require('./lib/settings');
+const { getWebhookStore } = require('./lib/webhooks');
+const { getBranding } = require('./lib/branding');
+const { getAuditLog } = require('./lib/auditLog');
+const { createConfirmations } = require('./lib/confirmations');
+const { createSendQueue } = require('./lib/sendQueue');
+const { createGroupCache, participantId } = require('./lib/groupCache');
+const { getWarningStore } = require('./lib/warnings');
+const { createModerator } = require('./lib/moderation');
+const { isNoticeEnabled, buildNotice } = require('./lib/participantNotices');
+const { getScheduleStore } = require('./lib/schedules');
+const { getMessageStore } = require('./lib/messageStore');
+const { unwrapMessage, messageText } = require('./lib/messageContent');
+const { translate } = require('./lib/i18n');
+const { createSessionEvents } = require('./lib/sessionEvents');
+const { createSessionStats } = require('./lib/sessionStats');
+const { nextStep } = require('./lib/reconnectPolicy');
+const { logger, sessionLogger, baileysLogger } = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const { SESSIONS_BASE, readMeta, writeMeta } = require('./lib/sessionFolders');
+const { getAuthStore } = require('./lib/authStore');
+const { createSessionService } = require('./lib/sessionService');
+const { requireToken, socketAuth } = require('./lib/auth');
+const { normalizePhone, toJid, jidUser } = require('./lib/jid');
+const { createSessionsRouter } = require('./routes/sessions');
 
 const {
   default: makeWASocket,
-  useMultiFileAuthState,
   fetchLatestBaileysVersion,
-  DisconnectReason
+  DisconnectReason,
+  BufferJSON
 } = require('baileys');
 
 const app = express();
@@ -30,50 +54,35 @@ const io = new Server(server, {
   pingTimeout: 120000
 });
 
+// session lifecycle events -> socket.io room per session
+const events = createSessionEvents(io);
+
 // static frontend folder
 app.use(express.static(path.join(__dirname, 'public')));
-app.get('/health', (req, res) => res.status(200).send('ok'));
-
-// sessions base dir
-const SESSIONS_BASE = path.join(__dirname, 'sessions');
-if (!fs.existsSync(SESSIONS_BASE)) fs.mkdirSync(SESSIONS_BASE, { recursive: true });
 
 // Utils
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
-function nextAuthFolder() {
-  const items = fs.readdirSync(SESSIONS_BASE).filter(n => n.startsWith('auth_info'));
-  const nums = items.map(n => {
-    const m = n.match(/auth_info(\d+)/);
-    return m ? parseInt(m[1], 10) : 0;
-  });
-  const next = (nums.length ? Math.max(...nums) : 0) + 1;
-  return `auth_info${next}`;
+// pairing-code login: how long a code is shown before we ask for a new one
+const PAIRING_CODE_TTL_MS = parseInt(process.env.PAIRING_CODE_TTL_MS || '120000', 10);
+// message types the history keeps as text only (no raw message to forward)
+const TEXT_TYPES = ['conversation', 'extendedTextMessage'];
+// commands delivered later than this (offline queue, reconnect) are not run
+const COMMAND_MAX_AGE_SEC = parseInt(process.env.COMMAND_MAX_AGE_SEC || '120', 10);
+// message ids remembered per socket to drop duplicates
+const SEEN_IDS_MAX = 2000;
+
+// bounded set of ids, oldest dropped first
+function createRecentIds(max) {
+  const ids = new Set();
+  return {
+    has: id => ids.has(id),
+    add(id) {
+      ids.add(id);
+      if (ids.size > max) ids.delete(ids.values().next().value);
+    }
+  };
 }
 
-// Menu text + image (exact as requested)
-const MENU_TEXT = `Owner: Santana
-Version: 1.0.0
-Type: Node.js
-_____________________________
-*○ Menu*
-*○ Tagall*
-*● Hidetag [text]*
-*○ Del    (reply)*
-*● Kickall*
-*○ Qr [text]*
-*● Kick @number | reply*
-*○ Add 509XXXXXXXX | reply*
-*● Promote @number | reply*
-*○ Delmote @number | reply*
-*● Ferme*
-*○ Ouvert*
-*● Bienvenue | .bienvenue off*
-
-> © D'H7 : Tergene`;
-
-// Image that must be sent with every message except hidetag
-const IMAGE_URL = 'https://res.cloudinary.com/dckwrqrur/image/upload/v1756264264/tf-stream-url/IMG-20250826-WA0000_ymn2wa.jpg';
-
 // in-memory sessions map
 const sessions = {};
 
@@ -81,23 +90,27 @@ const sessions = {};
  * startBaileysForSession
  * - sessionId: uuid (in-memory key)
  * - folderName: auth_info folder name
- * - socket: socket.io client
+ * - opts.attempt: failed reconnects so far (set by scheduleReconnect)
+ * lifecycle events are published on the session event bus (see lib/sessionEvents.js)
  */
-async function startBaileysForSession(sessionId, folderName, socket, opts = { attempt: 0 }) {
+async function startBaileysForSession(sessionId, folderName, opts = { attempt: 0 }) {
   if (sessions[sessionId] && sessions[sessionId].sock) return sessions[sessionId];
+  let attempt = (opts && opts.attempt) || 0; // failed reconnects in a row (lib/reconnectPolicy.js)
+  const log = sessionLogger(sessionId, folderName);
+  events.emit(sessionId, 'starting', { folderName, attempt });
 
   const dir = path.join(SESSIONS_BASE, folderName);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 
-  // load auth state
+  // load auth state (files in the folder or the SQLite store, see lib/authStore.js)
   let state, saveCreds;
   try {
-    const auth = await useMultiFileAuthState(dir);
+    const auth = await getAuthStore().load(folderName);
     state = auth.state;
     saveCreds = auth.saveCreds;
   } catch (err) {
-    console.error(`[${sessionId}] useMultiFileAuthState failed`, err);
-    socket.emit('error', { message: 'Failed to load auth state', detail: String(err) });
+    log.error({ err }, 'loading auth state failed');
+    events.emit(sessionId, 'error', { message: 'Failed to load auth state', detail: String(err) });
     throw err;
   }
 
@@ -107,11 +120,34 @@ async function startBaileysForSession(sessionId, folderName, socket, opts = { at
     const res = await fetchLatestBaileysVersion();
     if (res && res.version) version = res.version;
   } catch (err) {
-    console.warn(`[${sessionId}] fetchLatestBaileysVersion failed — proceeding without explicit version`);
+    log.warn({ err }, 'fetchLatestBaileysVersion failed — proceeding without explicit version');
   }
 
-  const logger = pino({ level: 'silent' });
-  const sock = makeWASocket({ version, auth: state, logger, printQRInTerminal: false });
+  // sends and group mutations are paced by the session's outbound queue (lib/sendQueue.js)
+  const queue = createSendQueue({
+    log,
+    onFailure: (bucket, count) => metrics.inc('wa_send_failures_total', { session: folderName, bucket }, count)
+  });
+  // group metadata is read through the session's cache (lib/groupCache.js), Baileys included
+  const sock = queue.wrap(makeWASocket({
+    version,
+    auth: state,
+    logger: baileysLogger(log),
+    printQRInTerminal: false,
+    cachedGroupMetadata: async (jid) => groups.peek(jid)
+  }));
+  const groups = createGroupCache({ fetchMetadata: jid => sock.groupMetadata(jid), fetchAll: () => sock.groupFetchAllParticipating() });
+
+  // incoming message ids already handled, and ids of what this socket sent:
+  // the echo of the bot's own reply is stored once but never runs a command as the owner
+  const seenIds = createRecentIds(SEEN_IDS_MAX);
+  const sentIds = createRecentIds(SEEN_IDS_MAX);
+  const queuedSend = sock.sendMessage;
+  sock.sendMessage = async (...args) => {
+    const sent = await queuedSend(...args);
+    if (sent && sent.key && sent.key.id) sentIds.add(sent.key.id);
+    return sent;
+  };
 
   // per-session state
   const sessionObj = {
@@ -119,21 +155,41 @@ async function startBaileysForSession(sessionId, folderName, socket, opts = { at
     saveCreds,
     folderName,
     dir,
+    log, // pino child carrying sessionId / folder (lib/logger.js)
     restarting: false,
+    stopped: false, // set by the service when it ends the socket on purpose
     cachedImageBuffer: null,
+    brand: getBranding(readMeta(dir).profile), // bot name, header image, menu, footer
     invisibleMode: {}, // map jid -> intervalId
-    bienvenueEnabled: {} // map jid -> boolean
+    settings: getSettingsStore(dir), // per-group settings, persisted in settings.json
+    webhooks: getWebhookStore(dir), // outgoing webhook subscriptions
+    audit: getAuditLog(dir), // group moderation audit log (audit.jsonl)
+    confirmations: createConfirmations(), // pending .confirm per chat (kickall)
+    queue, // rate-limited outbound queue
+    groups, // group metadata cache
+    warnings: getWarningStore(dir), // automod warnings per group/user (warnings.json)
+    schedules: getScheduleStore(dir), // cron open/close/announcements (schedules.json)
+    messages: getMessageStore(dir), // optional message history + deletions (messages/)
+    pairing: null // { code, expiresAt } while waiting for a pairing-code login
   };
+  sessionObj.moderation = createModerator({ log, sessionObj, sendWithImage }); // anti-link / anti-spam / bad words
+  sessionObj.schedules.start(runSchedule); // armed until the socket closes
   sessions[sessionId] = sessionObj;
 
   // persist creds
   sock.ev.on('creds.update', saveCreds);
 
-  // helper: fetch/cached image buffer
+  // helper: fetch/cached header image buffer (branding image: local file or URL)
+  // Image is sent with every message except hidetag
   async function fetchImageBuffer() {
     if (sessionObj.cachedImageBuffer) return sessionObj.cachedImageBuffer;
+    const { image } = sessionObj.brand;
     try {
-      const res = await fetch(IMAGE_URL);
+      if (image.file) {
+        sessionObj.cachedImageBuffer = await fs.promises.readFile(image.file);
+        return sessionObj.cachedImageBuffer;
+      }
+      const res = await fetch(image.url);
       if (!res.ok) throw new Error('fetch status ' + res.status);
       const ab = await res.arrayBuffer();
       sessionObj.cachedImageBuffer = Buffer.from(ab);
@@ -168,17 +224,19 @@ async function startBaileysForSession(sessionId, folderName, socket, opts = { at
         return await sock.sendMessage(jid, msg);
       }
     } catch (err) {
-      console.warn(`[${sessionId}] image buffer send failed:`, err);
+      log.warn({ err, chat: jid }, 'image buffer send failed');
     }
 
     // If buffer not available, try sending by URL
-    try {
-      const msg = { image: { url: IMAGE_URL }, caption: text };
-      if (mentions) msg.mentions = mentions;
-      if (quoted) msg.quoted = quoted;
-      return await sock.sendMessage(jid, msg);
-    } catch (err) {
-      console.warn(`[${sessionId}] image url send failed:`, err);
+    if (sessionObj.brand.image.url) {
+      try {
+        const msg = { image: { url: sessionObj.brand.image.url }, caption: text };
+        if (mentions) msg.mentions = mentions;
+        if (quoted) msg.quoted = quoted;
+        return await sock.sendMessage(jid, msg);
+      } catch (err) {
+        log.warn({ err, chat: jid }, 'image url send failed');
+      }
     }
 
     // final fallback: text-only
@@ -188,17 +246,88 @@ async function startBaileysForSession(sessionId, folderName, socket, opts = { at
     return sock.sendMessage(jid, msg);
   }
 
-  // ---- helpers for group-targeted commands ----
-  async function isGroupAdmin(jid, participantId) {
+  // helper: welcome / goodbye / role notice, with the member's profile picture when asked
+  // (no picture or privacy settings hide it -> the branding image, via sendWithImage)
+  async function sendNotice(gid, userJid, text, usePicture) {
+    if (usePicture) {
+      try {
+        const url = await sock.profilePictureUrl(userJid, 'image');
+        if (url) return await sock.sendMessage(gid, { image: { url }, caption: text, mentions: [userJid] });
+      } catch (e) {}
+    }
+    return sendWithImage(gid, { text, mentions: [userJid] });
+  }
+
+  // helper: run one scheduled action (lib/schedules.js); throws so the store records the error
+  async function runSchedule(s) {
+    const audit = (error) => sessionObj.audit.record({
+      actor: 'schedule', group: s.group, command: `schedule:${s.id}`, action: s.action, targets: [], error
+    });
+    try {
+      if (events.snapshot(sessionId)?.state !== 'open') throw new Error('session is not connected');
+      await queue.withPriority('low', async () => {
+        if (s.action === 'open' || s.action === 'close') {
+          await sock.groupSettingUpdate(s.group, s.action === 'close' ? 'announcement' : 'not_announcement');
+        } else if (s.action === 'hidetag') {
+          const ids = (await groups.participants(s.group)).map(p => p.id);
+          await sock.sendMessage(s.group, { text: s.text, mentions: ids });
+        } else {
+          await sendWithImage(s.group, sessionObj.brand.render(s.text));
+        }
+      });
+      audit();
+    } catch (e) {
+      log.error({ err: e, scheduleId: s.id, action: s.action }, 'schedule failed');
+      audit(e);
+      throw e;
+    }
+  }
+
+  // helper: keep a message in the history when the session (or, for antidelete, the group) asks for it
+  function storeMessage(msg, { jid, sender, fromMe, type, text }) {
+    const session = sessionObj.settings.getSession();
+    if (!session.storeMessages && !sessionObj.settings.get(jid).antidelete) return;
+    sessionObj.messages.add({
+      id: msg.key.id,
+      chat: jid,
+      sender,
+      pushName: msg.pushName || null,
+      fromMe,
+      at: (Number(msg.messageTimestamp) * 1000) || Date.now(),
+      type,
+      text,
+      // plain text is all we need for those; anything else is kept whole so it can be forwarded again
+      raw: TEXT_TYPES.includes(type) ? undefined : JSON.parse(JSON.stringify({ key: msg.key, message: msg.message }, BufferJSON.replacer))
+    }, { retentionDays: session.messageRetentionDays });
+  }
+
+  // helper: a message was deleted for everyone; log it and, with antidelete on, repost it
+  async function handleRevoke({ jid, id, by, fromMe }) {
+    const groupSettings = sessionObj.settings.get(jid);
+    if (!sessionObj.settings.getSession().storeMessages && !groupSettings.antidelete) return;
+    const { original } = sessionObj.messages.recordDeletion({ chat: jid, id, by });
+    log.info({ chat: jid, id, by, known: !!original }, 'message deleted');
+
+    // our own deletions (.del, automod) and admins removing someone else's message are left alone
+    if (!groupSettings.antidelete || fromMe || !original || original.fromMe) return;
+    if (jidUser(by) !== jidUser(original.sender)) return;
+    const timezone = sessionObj.settings.getSession().timezone;
+    const time = new Date(original.at).toLocaleString('en-GB', { timeZone: timezone, dateStyle: 'short', timeStyle: 'short' });
+    const text = translate(groupSettings.language, 'antidelete.notice', { user: jidUser(original.sender), time, text: original.text || '' });
+    let error;
     try {
-      const meta = await sock.groupMetadata(jid);
-      const p = meta.participants.find(x => x.id === participantId);
-      return !!(p && (p.admin || p.admin === 'superadmin'));
+      await queue.withPriority('low', async () => {
+        await sendWithImage(jid, { text: sessionObj.brand.render(text), mentions: [original.sender] });
+        if (original.raw) await sock.sendMessage(jid, { forward: JSON.parse(JSON.stringify(original.raw), BufferJSON.reviver) });
+      });
     } catch (e) {
-      return false;
+      log.error({ err: e, chat: jid }, 'antidelete repost failed');
+      error = e;
     }
+    sessionObj.audit.record({ actor: 'antidelete', group: jid, command: 'antidelete', action: 'repost', targets: [original.sender], error });
   }
 
+  // ---- helpers for group-targeted commands ----
   function resolveTargetIds({ jid, m, args }) {
     const ids = [];
     const ctx = m.extendedTextMessage?.contextInfo || {};
@@ -208,455 +337,420 @@ async function startBaileysForSession(sessionId, folderName, socket, opts = { at
     if (ctx.participant) ids.push(ctx.participant);
     if (args && args.length) {
       for (const a of args) {
-        // accept +509xxxxxxxx or 509xxxxxxxx or raw jid
-        if (a.includes('@')) { ids.push(a); continue; }
-        const cleaned = a.replace(/[^0-9+]/g, '');
-        if (!cleaned) continue;
-        const noPlus = cleaned.startsWith('+') ? cleaned.slice(1) : cleaned;
-        ids.push(`${noPlus}@s.whatsapp.net`);
+        const id = toJid(a);
+        if (id) ids.push(id);
       }
     }
     return Array.from(new Set(ids));
   }
   // ---- end helpers ----
 
-  // message handler (commands) — implemented to match the exact Adam_D'H7 behavior (plus added commands)
-  sock.ev.on('messages.upsert', async (up) => {
-    try {
-      const messages = up.messages || [];
-      if (!messages.length) return;
-      const msg = messages[0];
-      if (!msg || !msg.message) return;
-
-      const jid = msg.key.remoteJid;
-      const isGroup = jid && jid.endsWith && jid.endsWith('@g.us');
-      const fromMe = !!msg.key.fromMe;
-
-      // ignore status broadcasts
-      if (msg.key && msg.key.remoteJid === 'status@broadcast') return;
-
-      // extract raw text
-      let raw = '';
-      const m = msg.message;
-      if (m.conversation) raw = m.conversation;
-      else if (m.extendedTextMessage?.text) raw = m.extendedTextMessage.text;
-      else if (m.imageMessage?.caption) raw = m.imageMessage.caption;
-      else if (m.videoMessage?.caption) raw = m.videoMessage.caption;
-      else if (m.documentMessage?.caption) raw = m.documentMessage.caption;
-      else raw = '';
-
-      const textRaw = (raw || '').toString().trim();
-      const withoutDot = textRaw.startsWith('.') ? textRaw.slice(1) : textRaw;
-      const parts = withoutDot.split(/\s+/).filter(Boolean);
-      const cmd = (parts[0] || '').toLowerCase();
-      const args = parts.slice(1);
-      const argText = args.join(' ').trim();
-
-      // debug
-      console.log(`[${sessionId}] MSG from=${jid} id=${msg.key.id} fm=${fromMe} cmd=${cmd} text="${textRaw}"`);
-
-      // If invisible-mode active in group: send image messages (bot requirement)
-      if (isGroup && sessionObj.invisibleMode[jid]) {
-        try { await sendWithImage(jid, 'ㅤ   '); } catch (e) {}
-        return;
-      }
-
-      switch (cmd) {
-        case 'd':
-        case 'menu':
-          await sendWithImage(jid, MENU_TEXT);
-          break;
-
-        case 'tg':
-        case 'tagall':
-          if (!isGroup) {
-            await sendWithImage(jid, "*Adam_D'H7*\n Petit con *Tagall* est que pour Groupe");
-            break;
-          }
-          try {
-            const meta = await sock.groupMetadata(jid);
-            const ids = meta.participants.map(p => p.id);
-            const list = ids.map((id,i) => `${i===0 ? '●' : '○'}@${id.split('@')[0]}`).join('\n');
-            const out = `*Santana*\n${list}\n>》》 》》》 》》D'H7:Tergene`;
-            await sendWithImage(jid, { text: out, mentions: ids });
-          } catch (e) {
-            console.error(`[${sessionId}] tagall error`, e);
-            await sendWithImage(jid, "*Adam_D'H7*\nErr: pa kapab jwenn metadata gwoup la.");
-          }
-          break;
-
-        case 'tm':
-        case 'hidetag':
-          // For .tm /.hidetag send text-only (no image) with mentions
-          if (!isGroup) {
-            await sock.sendMessage(jid, { text: "*Adam_D'H7*\nHidetag est un commandes fait pour groupes" });
-            break;
-          }
-          if (!argText) {
-            await sock.sendMessage(jid, { text: "*Adam_D'H7*\n envoie `hidetag [tèks]`" });
-            break;
-          }
-          try {
-            const meta2 = await sock.groupMetadata(jid);
-            const ids2 = meta2.participants.map(p => p.id);
-            // send text-only with mentions — hidetag must not include the image
-            await sock.sendMessage(jid, { text: argText, mentions: ids2 });
-          } catch (e) {
-            console.error(`[${sessionId}] hidetag error`, e);
-            await sock.sendMessage(jid, { text: "*Adam_D'H7*\nHidetag failed." });
-          }
-          break;
-
-        case 'dh7':
-          if (!isGroup) {
-            await sendWithImage(jid, "*Adam_D'H7*\nMode Envizib spam se pou gwoup sèlman.");
-            break;
-          }
-          if (sessionObj.invisibleMode[jid]) {
-            await sendWithImage(jid, "*Adam_D'H7*\nMode envizib deja aktive.");
-            break;
-          }
-          // start interval that sends image messages every second (as requested)
-          sessionObj.invisibleMode[jid] = setInterval(() => {
-            sendWithImage(jid, 'ㅤ   ').catch(()=>{});
-          }, 1000);
-          await sendWithImage(jid, "*Adam_D'H7*\nMode envizib aktive: ap spam mesaj vid.");
-          break;
-
-        case 'del':
-          {
-            const ctx = m.extendedTextMessage?.contextInfo;
-            if (ctx?.stanzaId) {
-              const quoted = {
-                remoteJid: jid,
-                fromMe: false,
-                id: ctx.stanzaId,
-                participant: ctx.participant
-              };
-              try {
-                await sock.sendMessage(jid, { delete: quoted });
-              } catch (e) {
-                console.error(`[${sessionId}] sip delete error`, e);
-                await sendWithImage(jid, "*Santana*\n ne peut pas effacer ce message");
-              }
-            } else {
-              await sendWithImage(jid, "*Santana*\n Répond un message avec .del pour le supprimer");
-            }
-          }
-          break;
-
-        case 'kickall':
-          if (!isGroup) {
-            await sendWithImage(jid, "*Santana*\n Kickall n'est que pour groupe");
-            break;
-          }
-          try {
-            const meta3 = await sock.groupMetadata(jid);
-            const admins = meta3.participants.filter(p => p.admin || p.admin === 'superadmin').map(p => p.id);
-            // determine sender id (works for groups where key.participant exists)
-            const sender = msg.key.participant || msg.key.remoteJid;
-            if (!admins.includes(sender)) {
-              await sendWithImage(jid, "*Santana*\n t'es même pas admin");
-              break;
-            }
-            for (const p of meta3.participants) {
-              if (!admins.includes(p.id)) {
-                try {
-                  await sock.groupParticipantsUpdate(jid, [p.id], 'remove');
-                  await sleep(3000);
-                } catch (e) {
-                  console.error(`[${sessionId}] kick error for ${p.id}`, e);
-                }
-              }
-            }
-            await sock.groupUpdateSubject(jid, "Adam_D'H7");
-          } catch (e) {
-            console.error(`[${sessionId}] sipyo error`, e);
-            await sendWithImage(jid, "*Adam_D'H7*\nSipyo echwe: " + (e?.message || String(e)));
-          }
-          break;
-
-        case 'qr':
-          if (!argText) {
-            await sendWithImage(jid, "*Adam_D'H7*\n`.qr [tèks]`");
-            break;
-          }
-          try {
-            const buf = await QRCode.toBuffer(argText);
-            await sock.sendMessage(jid, { image: buf, caption: `*Adam_D'H7*\n ${argText}` });
-          } catch (e) {
-            console.error(`[${sessionId}] qr gen error`, e);
-            await sendWithImage(jid, "*Adam_D'H7*\nPa kapab jenere QR.");
-          }
-          break;
-
-        case 'img':
-        case 'image':
-          try {
-            const buf = await fetchImageBuffer();
-            if (buf) {
-              await sock.sendMessage(jid, { image: buf, caption: "*Adam_D'H7*\nMen imaj la." });
-            } else {
-              // fallback to URL send via sendWithImage (it will try URL)
-              await sendWithImage(jid, "*Adam_D'H7*\nMen imaj la.");
-            }
-          } catch (err) {
-            console.error(`[${sessionId}] image command failed`, err);
-            try {
-              await sendWithImage(jid, "*Adam_D'H7*\nMen imaj la. (fallback url)");
-            } catch(e){
-              console.error(`[${sessionId}] fallback image send failed`, e);
-            }
-          }
-          break;
-
-        //
-        // === NEW ADDED COMMANDS (kick, add, promote, delmote, ferme, ouvert, bienvenue) ===
-        //
-        case 'kick': {
-          if (!isGroup) { await sendWithImage(jid, "*Santana*\nKick est que pour groupes"); break; }
-          const senderKick = msg.key.participant || msg.key.remoteJid;
-          if (!(await isGroupAdmin(jid, senderKick))) { await sendWithImage(jid, "*Adam_D'H7*\nOu pa gen dwa admin pou itilize kick."); break; }
-          const targetsKick = resolveTargetIds({ jid, m, args });
-          if (!targetsKick.length) { await sendWithImage(jid, "*Santana*\n Reply ou tag l'utilisateur que tu kick avek kick eg kick @user"); break; }
-          for (const t of targetsKick) {
-            try { await sock.groupParticipantsUpdate(jid, [t], 'remove'); await sleep(500); } catch (e) { console.error(`[${sessionId}] kick error ${t}`, e); await sendWithImage(jid, `*Adam_D'H7*\nPa kapab kick ${t.split('@')[0]}`); }
-          }
-          break;
-        }
-
-        case 'add': {
-          if (!isGroup) { await sendWithImage(jid, "*Santana*\n Add c'est fait rien que pour les groupes"); break; }
-          const senderAdd = msg.key.participant || msg.key.remoteJid;
-          if (!(await isGroupAdmin(jid, senderAdd))) { await sendWithImage(jid, "*Santana*\nTu n'est pas un admin"); break; }
-          const targetsAdd = resolveTargetIds({ jid, m, args });
-          if (!targetsAdd.length) { await sendWithImage(jid, "*Santana*\n les chiffres doit être collé eg +50935492574"); break; }
-          for (const t of targetsAdd) {
-            try { await sock.groupParticipantsUpdate(jid, [t], 'add'); await sleep(800); } catch (e) { console.error(`[${sessionId}] add error ${t}`, e); await sendWithImage(jid, `*Adam_D'H7*\nPa kapab ajoute ${t.split('@')[0]}`); }
-          }
-          break;
-        }
+  // message handler — parses the command and hands it to the registry (see commands/)
+  // live: from a "notify" batch; everything else is only stored, counted and sent to webhooks
+  async function handleMessage(msg, { live = true } = {}) {
+    if (!msg || !msg.message || !msg.key) return;
+    const jid = msg.key.remoteJid;
+    // ignore status broadcasts
+    if (jid === 'status@broadcast') return;
+    // the same message can arrive twice (retries, offline delivery overlapping a reconnect)
+    if (seenIds.has(msg.key.id)) return;
+    seenIds.add(msg.key.id);
+    // history sync and echoes of our own sends are never acted on (replaying those could rerun a past kickall)
+    const actionable = live && !sentIds.has(msg.key.id);
+
+    const isGroup = jid && jid.endsWith && jid.endsWith('@g.us');
+    const fromMe = !!msg.key.fromMe;
+    // our own messages in groups don't always carry a participant
+    const self = sock.user ? `${jidUser(sock.user.id)}@s.whatsapp.net` : null;
+    const sender = fromMe && self ? self : (msg.key.participant || msg.key.remoteJid);
+
+    // disappearing chats / view-once: look at the content, not the envelope (lib/messageContent.js)
+    const { message: m } = unwrapMessage(msg.message);
+    // "delete for everyone" arrives as a REVOKE protocol message pointing at the deleted one
+    if (m.protocolMessage?.type === 0 && m.protocolMessage.key?.id) {
+      if (live) await handleRevoke({ jid, id: m.protocolMessage.key.id, by: sender, fromMe });
+      return;
+    }
 
-        case 'promote': {
-          if (!isGroup) { await sendWithImage(jid, "*Santana*\nPromote c'est un commandes pour groupes"); break; }
-          const senderProm = msg.key.participant || msg.key.remoteJid;
-          if (!(await isGroupAdmin(jid, senderProm))) { await sendWithImage(jid, "*Santana*\nTu n'est pas admin"); break; }
-          const targetsProm = resolveTargetIds({ jid, m, args });
-          if (!targetsProm.length) { await sendWithImage(jid, "*Santana*\nReply ou tag l'utilisateur eg promote @user"); break; }
-          for (const t of targetsProm) {
-            try { await sock.groupParticipantsUpdate(jid, [t], 'promote'); await sleep(500); } catch (e) { console.error(`[${sessionId}] promote error ${t}`, e); await sendWithImage(jid, `*Adam_D'H7*\nPa kapab promote ${t.split('@')[0]}`); }
-          }
-          break;
-        }
+    const textRaw = messageText(m);
+    const { prefix, language: lang } = sessionObj.settings.get(jid);
+    // only text starting with the chat's prefix is a command
+    const parts = textRaw.startsWith(prefix) ? textRaw.slice(prefix.length).split(/\s+/).filter(Boolean) : [];
+    const cmd = (parts[0] || '').toLowerCase();
+    const args = parts.slice(1);
+    const argText = args.join(' ').trim();
+
+    // text is redacted unless LOG_MESSAGE_BODIES=true
+    log.debug({ chat: jid, id: msg.key.id, fromMe, cmd, text: textRaw }, 'message');
+
+    const type = Object.keys(m)[0] || null;
+    stats.record(sessionId, 'message');
+    metrics.inc('wa_messages_received_total', { session: folderName });
+    sessionObj.webhooks.dispatch('message', sessionId, {
+      id: msg.key.id,
+      chat: jid,
+      isGroup: !!isGroup,
+      sender,
+      pushName: msg.pushName || null,
+      fromMe,
+      timestamp: Number(msg.messageTimestamp) || null,
+      type,
+      text: textRaw,
+      cmd: (commands.getCommand(cmd) || {}).name || null,
+      args
+    });
+    storeMessage(msg, { jid, sender, fromMe, type, text: textRaw });
 
-        case 'delmote':
-        case 'demote': {
-          if (!isGroup) { await sendWithImage(jid, "*Santana*\nDelmote c'est un commandes pour groupes"); break; }
-          const senderDem = msg.key.participant || msg.key.remoteJid;
-          if (!(await isGroupAdmin(jid, senderDem))) { await sendWithImage(jid, "*Adam_D'H7*\n t'es pas un admin."); break; }
-          const targetsDem = resolveTargetIds({ jid, m, args });
-          if (!targetsDem.length) { await sendWithImage(jid, "*Santana*\n reply ou tag eg delmote @user"); break; }
-          for (const t of targetsDem) {
-            try { await sock.groupParticipantsUpdate(jid, [t], 'demote'); await sleep(500); } catch (e) { console.error(`[${sessionId}] delmote error ${t}`, e); await sendWithImage(jid, `*Adam_D'H7*\nPa kapab delmote ${t.split('@')[0]}`); }
-          }
-          break;
-        }
+    if (!actionable) return;
 
-        case 'ferme': {
-          if (!isGroup) { await sendWithImage(jid, "*Santana*\n rien que pour groupes"); break; }
-          const senderFerme = msg.key.participant || msg.key.remoteJid;
-          if (!(await isGroupAdmin(jid, senderFerme))) { await sendWithImage(jid, "*Santana*\n t'es pas un admin"); break; }
-          try { await sock.groupSettingUpdate(jid, 'announcement'); await sendWithImage(jid, "*Adam_D'H7*\n c'est fermé \"admins only\""); } catch(e){ console.error(`[${sessionId}] ferme error`, e); await sendWithImage(jid, "*Adam_D'H7*\nPa kapab mete gwoup la nan fermét."); }
-          break;
-        }
+    // automatic moderation: a message that breaks a group filter is not processed further
+    if (isGroup && !fromMe && await sessionObj.moderation.handle({ msg, jid, sender, text: textRaw })) return;
 
-        case 'ouvert': {
-          if (!isGroup) { await sendWithImage(jid, "*Santana*\nOuvert est que pour groupe"); break; }
-          const senderOuv = msg.key.participant || msg.key.remoteJid;
-          if (!(await isGroupAdmin(jid, senderOuv))) { await sendWithImage(jid, "*Adam_D'H7*\nOu pa gen dwa admin pou fè sa."); break; }
-          try { await sock.groupSettingUpdate(jid, 'not_announcement'); await sendWithImage(jid, "*Adam_D'H7*\n c'est ouvert"); } catch(e){ console.error(`[${sessionId}] ouvert error`, e); await sendWithImage(jid, "*Adam_D'H7*\nPa kapab louvri gwoup la."); }
-          break;
-        }
-
-        case 'bienvenue': {
-          if (!isGroup) { await sendWithImage(jid, "*Santana*\nBienvenue c'est un commands de groupes"); break; }
-          // argText === 'off' => disable
-          sessionObj.bienvenueEnabled[jid] = !(argText && argText.toLowerCase() === 'off');
-          await sendWithImage(jid, `*Santana*\n Bienvenue: ${sessionObj.bienvenueEnabled[jid] ? 'ON' : 'OFF'}`);
-          break;
-        }
+    // If invisible-mode active in group: send image messages (bot requirement)
+    if (isGroup && sessionObj.invisibleMode[jid]) {
+      try { await sendWithImage(jid, 'ㅤ   '); } catch (e) {}
+      return;
+    }
 
-        // === end added commands ===
+    if (!cmd) return;
+    // delivered late (offline, reconnect): too old to act on
+    const sentAt = Number(msg.messageTimestamp) * 1000;
+    if (sentAt && Date.now() - sentAt > COMMAND_MAX_AGE_SEC * 1000) {
+      if (commands.getCommand(cmd)) log.info({ chat: jid, id: msg.key.id, cmd, ageSec: Math.round((Date.now() - sentAt) / 1000) }, 'command too old, ignored');
+      return;
+    }
+    const handled = await commands.dispatch({
+      sessionId,
+      sessionObj,
+      brand: sessionObj.brand,
+      lang,
+      sock,
+      msg,
+      m,
+      jid,
+      isGroup,
+      fromMe,
+      sender,
+      cmd,
+      args,
+      argText,
+      textRaw,
+      sleep,
+      sendWithImage,
+      fetchImageBuffer,
+      // commands with flags pass the arguments that are left once the flags are removed
+      resolveTargetIds: (targetArgs = args) => resolveTargetIds({ jid, m, args: targetArgs })
+    });
+    if (handled) {
+      stats.record(sessionId, 'command');
+      metrics.inc('wa_commands_total', { session: folderName, command: commands.getCommand(cmd).name });
+    }
+  }
 
-        default:
-          // no command — ignore
-          break;
+  // every message of a batch, in order; only "notify" is live traffic
+  // ("append" is history sync and echoes of our own sends, see handleMessage)
+  sock.ev.on('messages.upsert', async (up) => {
+    const live = up.type === 'notify';
+    for (const msg of up.messages || []) {
+      try {
+        await handleMessage(msg, { live });
+      } catch (err) {
+        log.error({ err, id: msg?.key?.id }, 'messages.upsert handler error');
       }
-
-    } catch (err) {
-      console.error('messages.upsert handler error', err);
     }
   });
 
-  // participants / bienvenue handler (sends welcome if enabled)
+  // keep the group metadata cache current
+  sock.ev.on('groups.upsert', (list) => groups.upsert(list));
+  sock.ev.on('groups.update', (list) => groups.update(list));
+
+  // participants handler: cache + webhook, then the group's welcome / goodbye / role notices
+
   sock.ev.on('group-participants.update', async (update) => {
     try {
       const gid = update.id || update.jid || update.groupId;
       if (!gid) return;
-      if (!sessionObj.bienvenueEnabled[gid]) return;
-      const meta = await sock.groupMetadata(gid);
-      const groupName = meta.subject || '';
-      for (const p of (update.participants || [])) {
-        const userJid = typeof p === 'string' ? p : p?.id;
-        if (!userJid) continue;
-        const txt = `Bienvenue a toi @${userJid.split('@')[0]} dans ${groupName}`;
-        // sendWithImage will fallback to text if image fetch fails
-        await sendWithImage(gid, { text: txt, mentions: [userJid] });
-      }
-    } catch (e) { console.error('bienvenue error', e); }
+      const changed = (update.participants || []).map(participantId).filter(Boolean);
+      // removed from the group ourselves: forget it rather than patch it
+      if (update.action === 'remove' && sock.user && changed.some(id => jidUser(id) === jidUser(sock.user.id))) groups.invalidate(gid);
+      else groups.applyParticipants({ id: gid, participants: update.participants, action: update.action });
+      sessionObj.webhooks.dispatch('group.participants', sessionId, {
+        group: gid,
+        action: update.action,
+        participants: changed,
+        author: update.author || null
+      });
+      const groupSettings = sessionObj.settings.get(gid);
+      if (!isNoticeEnabled(groupSettings, update.action)) return;
+      // nothing to say about ourselves (and no group left to say it in once removed)
+      const members = changed.filter(id => !sock.user || jidUser(id) !== jidUser(sock.user.id));
+      if (!members.length) return;
+      const meta = await groups.get(gid);
+      const vars = {
+        group: meta.subject || '',
+        desc: meta.desc || '',
+        count: (meta.participants || []).length,
+        author: update.author ? jidUser(update.author) : ''
+      };
+      await queue.withPriority('low', async () => {
+        for (const userJid of members) {
+          const text = buildNotice(groupSettings, update.action, { ...vars, user: jidUser(userJid) });
+          await sendNotice(gid, userJid, text, groupSettings.noticePicture);
+        }
+      });
+    } catch (e) { log.error({ err: e }, 'participants notice error'); }
   });
 
   // connection lifecycle
   sock.ev.on('connection.update', async (update) => {
     try {
       const { connection, qr, lastDisconnect } = update;
+
+      // pairing-code login: WhatsApp still rotates QR refs, we answer each one
+      // with a pairing code instead (a new code once the previous one expired)
+      const meta = readMeta(dir);
+      if (qr && meta.loginMethod === 'pairing' && !sock.authState.creds.registered) {
+        if (sessionObj.pairing && sessionObj.pairing.expiresAt > Date.now()) return;
+        try {
+          const raw = await sock.requestPairingCode(normalizePhone(meta.phone));
+          const code = raw && raw.length === 8 ? `${raw.slice(0, 4)}-${raw.slice(4)}` : raw;
+          sessionObj.pairing = { code, expiresAt: Date.now() + PAIRING_CODE_TTL_MS };
+          events.emit(sessionId, 'pairing_code', { ...sessionObj.pairing, phone: meta.phone });
+        } catch (e) {
+          log.error({ err: e }, 'requestPairingCode failed');
+          events.emit(sessionId, 'error', { message: 'Pairing code request failed', detail: String(e) });
+        }
+        return;
+      }
+
       if (qr) {
         try {
           const dataUrl = await QRCode.toDataURL(qr);
-          socket.emit('qr', { sessionId, qrDataUrl: dataUrl });
+          events.emit(sessionId, 'qr', { qrDataUrl: dataUrl });
         } catch (e) {
-          socket.emit('qr', { sessionId, qrString: qr });
+          events.emit(sessionId, 'qr', { qrString: qr });
         }
       }
 
       if (connection === 'open') {
-        console.log(`[${sessionId}] Connected (folder=${folderName})`);
-        socket.emit('connected', { sessionId, folderName });
-        try { fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify({ connectedAt: Date.now() }, null, 2)); } catch(e){}
+        log.info('connected');
+        events.emit(sessionId, 'connected', { folderName });
+        sessionObj.webhooks.dispatch('connection', sessionId, { state: 'open', folder: folderName });
+        try { writeMeta(dir, { connectedAt: Date.now(), loggedOut: false, halted: null }); } catch(e){}
+        attempt = 0; // a later close starts a fresh series of attempts
         if (sessions[sessionId]) sessions[sessionId].restarting = false;
+        sessionObj.pairing = null;
       }
 
       if (connection === 'close') {
+        // restart/destroy from the service: it handles what happens next
+        if (sessionObj.stopped) return;
         const code = (lastDisconnect?.error || {}).output?.statusCode || null;
-        console.log(`[${sessionId}] Connection closed, code=${code}`);
-        socket.emit('disconnected', { sessionId, reason: code });
-
-        // if logged out, cleanup
-        if (code === DisconnectReason.loggedOut) {
-          try { sock.end(); } catch(e){}
-          delete sessions[sessionId];
-          return;
-        }
+        const step = nextStep(code, attempt);
+        log.info({ code, reason: step.reason, next: step.action === 'halt' ? step.state : 'reconnect', delay: step.delay }, 'connection closed');
+        events.emit(sessionId, 'disconnected', { reason: code, name: step.reason });
+        queue.clear('connection closed');
+        for (const timer of Object.values(sessionObj.invisibleMode)) clearInterval(timer);
+        sessionObj.invisibleMode = {};
+        groups.clear();
+        sessionObj.schedules.stop();
+        sessionObj.webhooks.dispatch('connection', sessionId, { state: 'close', folder: folderName, reason: code });
+        try { sock.end(); } catch(e){}
+        delete sessions[sessionId];
 
-        // restart required (515) or restartRequired enum
-        if (code === DisconnectReason.restartRequired || code === 515) {
-          console.log(`[${sessionId}] restart required (code ${code}). Attempting re-init.`);
-          if (sessions[sessionId]) sessions[sessionId].restarting = true;
-          try { sock.end(); } catch(e){}
-          delete sessions[sessionId];
-
-          const attempt = (opts && opts.attempt) ? opts.attempt : 0;
-          const delay = Math.min(30000, 2000 + attempt * 2000);
-          setTimeout(() => {
-            startBaileysForSession(sessionId, folderName, socket, { attempt: attempt + 1 })
-              .then(() => socket.emit('restarted', { sessionId, folderName }))
-              .catch(err => {
-                console.error(`[${sessionId}] restart failed`, err);
-                socket.emit('error', { message: 'Restart failed', detail: String(err) });
-              });
-          }, delay);
+        if (step.action === 'halt') {
+          haltSession(sessionId, folderName, step, code);
           return;
         }
-
-        // other disconnects — try a single reconnect
-        try { sock.end(); } catch(e){}
-        delete sessions[sessionId];
-        setTimeout(() => {
-          startBaileysForSession(sessionId, folderName, socket, { attempt: 0 })
-            .then(() => socket.emit('reconnected', { sessionId, folderName }))
-            .catch(err => {
-              console.error(`[${sessionId}] reconnect failed`, err);
-              socket.emit('error', { message: 'Reconnect failed', detail: String(err) });
-            });
-        }, 5000);
+        sessionObj.restarting = step.restart;
+        scheduleReconnect(sessionId, folderName, step);
       }
     } catch (err) {
-      console.error('connection.update handler error', err);
+      log.error({ err }, 'connection.update handler error');
     }
   });
 
   return sessionObj;
 }
 
-// socket.io handlers for web UI
-io.on('connection', (socket) => {
-  console.log('Web client connected', socket.id);
+// a halted session stays down until restarted by hand (see lib/reconnectPolicy.js);
+// the state is kept in meta.json so boot resume and the dashboard know about it
+function haltSession(sessionId, folderName, step, code) {
+  const halted = { state: step.state, reason: step.reason, code, at: Date.now() };
+  const patch = code === DisconnectReason.loggedOut ? { halted, loggedOut: true, loggedOutAt: halted.at } : { halted };
+  try { writeMeta(path.join(SESSIONS_BASE, folderName), patch); } catch (e) {}
+  sessionLogger(sessionId, folderName).warn(halted, 'halted');
+  events.emit(sessionId, 'halted', { folderName, ...halted });
+}
 
-  socket.on('create_session', async (payload) => {
-    try {
-      const profile = (payload && payload.profile) ? String(payload.profile) : 'unknown';
-      const name = (payload && payload.name) ? String(payload.name) : '';
-      const phone = (payload && payload.phone) ? String(payload.phone) : '';
+// start a new socket after step.delay; a start that throws counts as one more failed attempt
+function scheduleReconnect(sessionId, folderName, step) {
+  metrics.inc('wa_reconnects_total', { session: folderName, reason: step.reason });
+  setTimeout(() => {
+    // destroyed, or restarted by hand in the meantime
+    if (!fs.existsSync(path.join(SESSIONS_BASE, folderName)) || sessions[sessionId]) return;
+    startBaileysForSession(sessionId, folderName, { attempt: step.attempt })
+      .then(() => events.emit(sessionId, step.restart ? 'restarted' : 'reconnected', { folderName, attempt: step.attempt }))
+      .catch(err => {
+        sessionLogger(sessionId, folderName).error({ err, attempt: step.attempt }, 'reconnect attempt failed');
+        events.emit(sessionId, 'error', { message: 'Reconnect failed', detail: String(err) });
+        const next = nextStep(null, step.attempt);
+        if (next.action === 'halt') haltSession(sessionId, folderName, next, null);
+        else scheduleReconnect(sessionId, folderName, next);
+      });
+  }, step.delay);
+}
 
-      const folderName = nextAuthFolder();
-      const sessionId = uuidv4();
+// session service: shared by the REST API and the socket.io handlers
+const stats = createSessionStats({ onChange: publishSession }); // messages / commands handled per session
+const service = createSessionService({ sessions, events, stats, startBaileysForSession });
+
+// live dashboard: lifecycle events and activity are coalesced into at most
+// one session_update per session per second, sent to every dashboard client
+const DASHBOARD_UPDATE_MS = parseInt(process.env.DASHBOARD_UPDATE_MS || '1000', 10);
+const pendingUpdates = new Map(); // sessionId -> timer
+
+function publishSession(sessionId) {
+  if (pendingUpdates.has(sessionId)) return;
+  pendingUpdates.set(sessionId, setTimeout(() => {
+    pendingUpdates.delete(sessionId);
+    let info;
+    try { info = service.get(sessionId); } catch (e) { info = null; } // destroyed in the meantime
+    if (info) events.broadcast('session_update', info);
+    else events.broadcast('session_removed', { sessionId });
+  }, DASHBOARD_UPDATE_MS));
+}
+events.onChange(publishSession);
 
-      const dir = path.join(SESSIONS_BASE, folderName);
-      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+// health check (public): process is up, plus which sessions are ready to send
+app.get('/health', (req, res) => {
+  const list = service.list().map(s => ({ folder: s.folder, state: s.state, ready: s.state === 'open' }));
+  res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()), ready: list.filter(s => s.ready).length, sessions: list });
+});
 
-      const meta = { sessionId, folderName, profile, name, phone, createdAt: Date.now() };
-      try { fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify(meta, null, 2)); } catch(e){}
+// Prometheus scrape endpoint (same token as the REST API: bearer_token in the scrape config)
+metrics.addCollector(() => {
+  const list = service.list();
+  const byState = {};
+  for (const s of list) byState[s.state] = (byState[s.state] || 0) + 1;
+  return [
+    { name: 'wa_sessions', help: 'Sessions by connection state', type: 'gauge', samples: Object.entries(byState).map(([state, value]) => ({ labels: { state }, value })) },
+    { name: 'wa_send_queue_depth', help: 'Sends waiting in the outbound queue', type: 'gauge', samples: list.filter(s => s.queue).map(s => ({ labels: { session: s.folder }, value: s.queue.depth })) }
+  ];
+});
+app.get('/metrics', requireToken, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
-      await startBaileysForSession(sessionId, folderName, socket);
+// REST API (token protected)
+app.use('/api/sessions', requireToken, express.json(), createSessionsRouter(service));
+app.use('/api', (err, req, res, next) => {
+  if (!err.status) logger.error({ err }, 'api error');
+  res.status(err.status || 500).json({ error: err.message || String(err) });
+});
 
-      socket.emit('session_created', { sessionId, folderName });
-    } catch (err) {
-      console.error('create_session error', err);
-      socket.emit('error', { message: 'Failed to create session', detail: String(err) });
-    }
-  });
+// socket.io handlers for web UI (same token as the REST API)
+io.use(socketAuth);
 
-  socket.on('list_sessions', () => {
-    const arr = fs.readdirSync(SESSIONS_BASE).filter(n => n.startsWith('auth_info')).map(n => {
-      let meta = {};
-      const metaPath = path.join(SESSIONS_BASE, n, 'meta.json');
-      if (fs.existsSync(metaPath)) {
-        try { meta = JSON.parse(fs.readFileSync(metaPath)); } catch (e) {}
-      }
-      const inMem = Object.values(sessions).find(s => s.folderName === n);
-      return { folder: n, meta, online: !!inMem, lastSeen: meta.connectedAt || null };
-    });
-    socket.emit('sessions_list', arr);
-  });
+io.on('connection', (socket) => {
+  logger.debug({ socketId: socket.id }, 'web client connected');
 
-  socket.on('destroy_session', (payload) => {
+  // run a service call, reply with `event` or an error
+  async function handle(event, errorMessage, fn) {
     try {
-      if (!payload || !payload.folder) return socket.emit('error', { message: 'folder required' });
-      const folder = payload.folder;
-      const target = Object.entries(sessions).find(([k, v]) => v.folderName === folder);
-      if (target) {
-        const [sid, val] = target;
-        try { val.sock.end(); } catch(e){}
-        delete sessions[sid];
-      }
-      const full = path.join(SESSIONS_BASE, folder);
-      if (fs.existsSync(full)) fs.rmSync(full, { recursive: true, force: true });
-      socket.emit('session_destroyed', { folder });
+      const out = await fn();
+      if (event) socket.emit(event, out);
     } catch (err) {
-      console.error('destroy_session error', err);
-      socket.emit('error', { message: 'Failed to destroy session', detail: String(err) });
+      if (!err.status) logger.error({ err }, errorMessage);
+      socket.emit('error', { message: errorMessage, detail: String(err.message || err) });
     }
-  });
+  }
+
+  socket.on('create_session', (payload) => handle('session_created', 'Failed to create session', async () => {
+    const created = await service.create(payload || {});
+    // creator watches the new session right away (QR arrives through the room)
+    events.subscribe(socket, created.sessionId);
+    return created;
+  }));
+
+  socket.on('list_sessions', () => handle('sessions_list', 'Failed to list sessions', () => service.list()));
+
+  socket.on('get_session', (payload) => handle('session_info', 'Failed to load session', () => service.get(payload && (payload.sessionId || payload.folder))));
+
+  socket.on('restart_session', (payload) => handle(null, 'Failed to restart session', () => service.restart(payload && (payload.sessionId || payload.folder))));
+
+  socket.on('logout_session', (payload) => handle(null, 'Failed to log out session', () => service.logout(payload && (payload.sessionId || payload.folder))));
+
+  socket.on('update_session', (payload) => handle('session_update', 'Failed to update session', () => service.updateSession(payload && (payload.sessionId || payload.folder), payload || {})));
+
+  socket.on('get_session_groups', (payload) => handle('session_groups', 'Failed to load groups', () => service.getGroups(payload && (payload.sessionId || payload.folder), payload || {})));
+
+  socket.on('destroy_session', (payload) => handle(null, 'Failed to destroy session', () => {
+    const out = service.destroy(payload && (payload.sessionId || payload.folder));
+    socket.emit('session_destroyed', out);
+    return out;
+  }));
+
+  // watch a session's lifecycle events (by sessionId or auth folder)
+  socket.on('subscribe_session', (payload) => handle(null, 'Failed to subscribe', () => {
+    const { sessionId } = service.resolve(payload && (payload.sessionId || payload.folder));
+    if (!sessionId) throw new Error('session has no id yet');
+    events.subscribe(socket, sessionId);
+  }));
+
+  socket.on('unsubscribe_session', (payload) => handle(null, 'Failed to unsubscribe', () => {
+    const { sessionId } = service.resolve(payload && (payload.sessionId || payload.folder));
+    if (sessionId) events.unsubscribe(socket, sessionId);
+  }));
+
+  // per-group settings (welcome, template, prefix, language)
+  socket.on('get_settings', (payload) => handle('settings', 'Failed to load settings', () => service.getSettings(payload && payload.folder)));
+
+  socket.on('update_settings', (payload) => handle('settings', 'Failed to update settings', () => service.updateSettings(payload && payload.folder, payload)));
+
+  // outgoing webhooks + dead letters
+  socket.on('get_webhooks', (payload) => handle('webhooks', 'Failed to load webhooks', () => service.getWebhooks(payload && payload.folder)));
+
+  socket.on('add_webhook', (payload) => handle('webhook_added', 'Failed to add webhook', () => ({
+    folder: payload && payload.folder,
+    hook: service.addWebhook(payload && payload.folder, payload),
+    ...service.getWebhooks(payload && payload.folder)
+  })));
+
+  socket.on('remove_webhook', (payload) => handle('webhooks', 'Failed to remove webhook', () => service.removeWebhook(payload && payload.folder, payload && payload.hookId)));
+
+  socket.on('retry_dead_letter', (payload) => handle('webhooks', 'Failed to retry delivery', () => service.retryDeadLetter(payload && payload.folder, payload && payload.deliveryId)));
+
+  socket.on('clear_dead_letters', (payload) => handle('webhooks', 'Failed to clear dead letters', () => service.clearDeadLetters(payload && payload.folder)));
+
+  // audit log paging (exports go through GET /api/sessions/:id/audit/export)
+  socket.on('get_audit', (payload) => handle('audit', 'Failed to load audit log', () => service.getAudit(payload && payload.folder, payload || {})));
+
+  // cron schedules (open/close/announcements)
+  socket.on('get_schedules', (payload) => handle('schedules', 'Failed to load schedules', () => service.getSchedules(payload && payload.folder)));
+
+  socket.on('add_schedule', (payload) => handle('schedules', 'Failed to add schedule', () => {
+    service.addSchedule(payload && payload.folder, { ...payload, createdBy: 'dashboard' });
+    return service.getSchedules(payload && payload.folder);
+  }));
+
+  socket.on('remove_schedule', (payload) => handle('schedules', 'Failed to remove schedule', () => service.removeSchedule(payload && payload.folder, payload && payload.scheduleId)));
+
+  // stored message history and deletions
+  socket.on('search_messages', (payload) => handle('message_history', 'Failed to search messages', () => service.searchMessages(payload && payload.folder, payload || {})));
 
   socket.on('disconnect', (reason) => {
-    console.log('Web client disconnected', socket.id, 'reason:', reason);
+    logger.debug({ socketId: socket.id, reason }, 'web client disconnected');
   });
 });
 
 // global error logging
-process.on('uncaughtException', (err) => console.error('uncaughtException', err));
-process.on('unhandledRejection', (reason) => console.error('unhandledRejection', reason));
+process.on('uncaughtException', (err) => logger.error({ err }, 'uncaughtException'));
+process.on('unhandledRejection', (reason) => logger.error({ err: reason }, 'unhandledRejection'));
 
 // start server
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`Server started on http://localhost:${PORT} (port ${PORT})`));
+server.listen(PORT, () => {
+  logger.info({ port: PORT }, `Server started on http://localhost:${PORT}`);
+  service.resumeAll().catch(err => logger.error({ err }, 'resumeAll error'));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUDIT_MAX_ENTRIES = '10';
+const { getAuditLog, toCsv } = require('../lib/auditLog');
+
+const G1 = '1@g.us';
+const G2 = '2@g.us';
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  dirs.push(dir);
+  return dir;
+}
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('entries record the result and the error message', () => {
+  const audit = getAuditLog(tempDir());
+  const ok = audit.record({ actor: 'a@s.whatsapp.net', group: G1, command: 'kick', action: 'remove', targets: ['t@s.whatsapp.net'] });
+  const failed = audit.record({ actor: 'a@s.whatsapp.net', group: G1, command: 'kick', action: 'remove', error: new Error('forbidden') });
+  assert.equal(ok.result, 'success');
+  assert.equal(ok.error, null);
+  assert.equal(failed.result, 'error');
+  assert.equal(failed.error, 'forbidden');
+  assert.deepEqual(failed.targets, []);
+});
+
+test('query pages newest first and filters by group', () => {
+  const audit = getAuditLog(tempDir());
+  for (let i = 0; i < 5; i++) audit.record({ group: i % 2 ? G2 : G1, action: `a${i}` });
+  const page = audit.query({ page: 2, pageSize: 2 });
+  assert.equal(page.total, 5);
+  assert.deepEqual(page.entries.map(e => e.action), ['a2', 'a1']);
+  assert.deepEqual(audit.query({ group: G2 }).entries.map(e => e.action), ['a3', 'a1']);
+  assert.deepEqual(audit.all({ group: G1 }).map(e => e.action), ['a0', 'a2', 'a4']);
+});
+
+test('the file is trimmed to the newest entries past the limit', () => {
+  const audit = getAuditLog(tempDir());
+  for (let i = 0; i < 12; i++) audit.record({ action: `a${i}` });
+  const kept = audit.all().map(e => e.action);
+  assert.equal(kept.length, 10);
+  assert.equal(kept[0], 'a2');
+  assert.equal(kept[9], 'a11');
+});
+
+test('toCsv quotes cells that need it', () => {
+  const csv = toCsv([{ id: '1', at: 0, actor: 'x', group: G1, command: 'kick', action: 'remove', targets: ['a', 'b'], result: 'error', error: 'said "no", twice' }]);
+  const [header, row] = csv.trim().split('\n');
+  assert.equal(header, 'id,at,actor,group,command,action,targets,result,error');
+  assert.equal(row, `1,1970-01-01T00:00:00.000Z,x,${G1},kick,remove,a b,error,"said ""no"", twice"`);
+});
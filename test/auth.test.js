@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.API_TOKEN = 'test-token';
+const { isValidToken, requireToken, socketAuth } = require('../lib/auth');
+
+function fakeReq(headers) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: name => lower[name.toLowerCase()] };
+}
+
+function fakeRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  return res;
+}
+
+test('only the configured token is valid', () => {
+  assert.equal(isValidToken('test-token'), true);
+  assert.equal(isValidToken('test-tokem'), false);
+  assert.equal(isValidToken('test'), false);
+  assert.equal(isValidToken(''), false);
+  assert.equal(isValidToken(null), false);
+  assert.equal(isValidToken(['test-token']), false);
+});
+
+test('requireToken accepts a bearer header or x-api-token', () => {
+  for (const headers of [{ Authorization: 'Bearer test-token' }, { authorization: 'bearer  test-token ' }, { 'X-Api-Token': 'test-token' }]) {
+    let passed = false;
+    const res = fakeRes();
+    requireToken(fakeReq(headers), res, () => { passed = true; });
+    assert.equal(passed, true, JSON.stringify(headers));
+    assert.equal(res.statusCode, 200);
+  }
+});
+
+test('requireToken answers 401 without a valid token', () => {
+  for (const headers of [{}, { Authorization: 'Bearer nope' }, { Authorization: 'Basic test-token' }]) {
+    let passed = false;
+    const res = fakeRes();
+    requireToken(fakeReq(headers), res, () => { passed = true; });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'unauthorized' });
+  }
+});
+
+test('socketAuth checks the handshake token', () => {
+  const results = [];
+  socketAuth({ handshake: { auth: { token: 'test-token' } } }, err => results.push(err));
+  socketAuth({ handshake: { auth: { token: 'nope' } } }, err => results.push(err));
+  socketAuth({ handshake: {} }, err => results.push(err));
+  assert.equal(results[0], undefined);
+  assert.equal(results[1].message, 'unauthorized');
+  assert.equal(results[2].message, 'unauthorized');
+});
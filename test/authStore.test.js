@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFsBackend, createSqliteBackend } = require('../lib/authStore');
+const { SESSIONS_BASE } = require('../lib/sessionFolders');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch (e) { hasSqlite = false; }
+
+const ME = { id: '50900000000:4@s.whatsapp.net' };
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  dirs.push(dir);
+  return dir;
+}
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('fs: dump keeps only auth files, restore refuses other names', () => {
+  const folder = path.basename(tempDir()); // not an auth_infoN name, so never listed as a session
+  const dir = path.join(SESSIONS_BASE, folder);
+  dirs.push(dir);
+  const store = createFsBackend();
+  assert.deepEqual(store.dump(folder), {});
+  assert.equal(store.account(folder), null);
+
+  store.restore(folder, { creds: JSON.stringify({ me: ME }), 'pre-key-1': '{"k":1}' });
+  fs.writeFileSync(path.join(dir, 'meta.json'), '{}');
+  assert.deepEqual(store.dump(folder), { creds: JSON.stringify({ me: ME }), 'pre-key-1': '{"k":1}' });
+  assert.equal(store.account(folder), ME.id);
+
+  assert.throws(() => store.restore(folder, { meta: '{}' }), /invalid auth entry: meta/);
+  assert.throws(() => store.restore(folder, { 'pre-key-../../x': '{}' }), /invalid auth entry/);
+  assert.equal(store.clear(folder), 2);
+  assert.ok(fs.existsSync(path.join(dir, 'meta.json')));
+});
+
+test('sqlite: creds and keys are saved per folder', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  const store = createSqliteBackend(path.join(tempDir(), 'nested', 'auth.db'));
+  const { state, saveCreds } = await store.load('auth_info1');
+  assert.equal(store.account('auth_info1'), null);
+  state.creds.me = ME;
+  await saveCreds();
+  assert.equal(store.account('auth_info1'), ME.id);
+  assert.deepEqual(store.folders(), ['auth_info1']);
+
+  await state.keys.set({ 'pre-key': { 1: { k: 1 }, 2: { k: 2 } }, session: { '509:3': { s: 1 } } });
+  await state.keys.set({ 'pre-key': { 2: null } });
+  assert.deepEqual(await state.keys.get('pre-key', ['1', '2']), { 1: { k: 1 }, 2: null });
+  assert.deepEqual(Object.keys(store.dump('auth_info1')).sort(), ['creds', 'pre-key-1', 'session-509-3']);
+
+  const other = await store.load('auth_info2');
+  assert.deepEqual(await other.state.keys.get('pre-key', ['1']), { 1: null });
+  assert.equal(store.clear('auth_info1'), 3);
+  assert.deepEqual(store.folders(), []);
+});
+
+test('sqlite: a dump restores into another store, replacing what was there', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  const from = createSqliteBackend(path.join(tempDir(), 'a.db'));
+  const loaded = await from.load('auth_info1');
+  loaded.state.creds.me = ME;
+  await loaded.saveCreds();
+  await loaded.state.keys.set({ 'sender-key': { 'g@g.us::509::0': { x: 1 } } });
+
+  const to = createSqliteBackend(path.join(tempDir(), 'b.db'));
+  to.restore('auth_info7', { creds: '{}', 'pre-key-9': '{}' });
+  to.restore('auth_info7', from.dump('auth_info1'));
+  assert.deepEqual(to.dump('auth_info7'), from.dump('auth_info1'));
+  assert.equal(to.account('auth_info7'), ME.id);
+  const { state } = await to.load('auth_info7');
+  assert.deepEqual(await state.keys.get('sender-key', ['g@g.us::509::0']), { 'g@g.us::509::0': { x: 1 } });
+});
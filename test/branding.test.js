@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'branding-'));
+fs.writeFileSync(path.join(dir, 'profiles.json'), JSON.stringify({
+  default: { footer: 'shared footer' },
+  acme: { botName: 'AcmeBot', ownerName: 'Acme', image: 'acme.png', menuTemplate: '{botName} by {owner}\n{commands}\n{footer} {unknown}' }
+}));
+process.env.BRANDING_FILE = path.join(dir, 'profiles.json');
+const { getBranding, listProfiles, fill, DEFAULT_PROFILE } = require('../lib/branding');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a profile overrides the file default, which overrides the built-in one', () => {
+  const brand = getBranding('acme');
+  assert.equal(brand.name, 'acme');
+  assert.equal(brand.botName, 'AcmeBot');
+  assert.equal(brand.footer, 'shared footer');
+  assert.equal(brand.version, DEFAULT_PROFILE.version);
+});
+
+test('unknown profiles fall back to the default one', () => {
+  const brand = getBranding('nope');
+  assert.equal(brand.name, 'default');
+  assert.equal(brand.botName, DEFAULT_PROFILE.botName);
+  assert.equal(brand.footer, 'shared footer');
+  assert.deepEqual(brand.image, { url: DEFAULT_PROFILE.image });
+});
+
+test('an image path is resolved next to the profiles file', () => {
+  assert.deepEqual(getBranding('acme').image, { file: path.join(dir, 'acme.png') });
+});
+
+test('render and menu use the profile', () => {
+  const brand = getBranding('acme');
+  assert.equal(brand.render('hello'), '*AcmeBot*\nhello');
+  assert.equal(brand.menu('- a\n- b'), 'AcmeBot by Acme\n- a\n- b\nshared footer {unknown}');
+});
+
+test('listProfiles leaves out the default entry', () => {
+  assert.deepEqual(listProfiles(), ['acme']);
+});
+
+test('fill leaves unknown placeholders alone', () => {
+  assert.equal(fill('{a} {b} {a}', { a: 1 }), '1 {b} 1');
+  assert.equal(fill(null, {}), '');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createConfirmations } = require('../lib/confirmations');
+
+const G = '1@g.us';
+const ADMIN = 'a@s.whatsapp.net';
+const OTHER = 'b@s.whatsapp.net';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('only the sender who asked can take the pending action', () => {
+  const confirmations = createConfirmations();
+  const run = () => 'ran';
+  confirmations.request(G, ADMIN, { action: 'kickall', run });
+  assert.equal(confirmations.take(G, OTHER), null);
+  assert.ok(confirmations.has(G));
+  const pending = confirmations.take(G, ADMIN);
+  assert.equal(pending.action, 'kickall');
+  assert.equal(pending.run(), 'ran');
+  assert.ok(!confirmations.has(G));
+  assert.equal(confirmations.take(G, ADMIN), null);
+});
+
+test('a new request replaces the previous one in that chat', () => {
+  const confirmations = createConfirmations();
+  confirmations.request(G, ADMIN, { action: 'first', run() {} });
+  confirmations.request(G, OTHER, { action: 'second', run() {} });
+  assert.equal(confirmations.take(G, ADMIN), null);
+  assert.equal(confirmations.cancel(G, OTHER).action, 'second');
+  confirmations.clearAll();
+});
+
+test('an unconfirmed action expires and calls onExpire once', async () => {
+  const confirmations = createConfirmations();
+  let expired = 0;
+  confirmations.request(G, ADMIN, { action: 'kickall', run() {}, onExpire: () => { expired += 1; }, ttl: 20 });
+  await sleep(50);
+  assert.equal(expired, 1);
+  assert.ok(!confirmations.has(G));
+  assert.equal(confirmations.take(G, ADMIN), null);
+});
+
+test('taking or clearing stops the expiry timer', async () => {
+  const confirmations = createConfirmations();
+  let expired = 0;
+  const onExpire = () => { expired += 1; };
+  confirmations.request(G, ADMIN, { action: 'a', run() {}, onExpire, ttl: 20 });
+  confirmations.take(G, ADMIN);
+  confirmations.request('2@g.us', ADMIN, { action: 'b', run() {}, onExpire, ttl: 20 });
+  confirmations.clearAll();
+  await sleep(50);
+  assert.equal(expired, 0);
+});
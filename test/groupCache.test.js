@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGroupCache, participantId } = require('../lib/groupCache');
+
+const G = '1@g.us';
+const A = 'a@s.whatsapp.net';
+const B = 'b@s.whatsapp.net';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// counts round-trips; resolve() releases the pending fetches
+function fakeSock(participants = [{ id: A, admin: 'admin' }, { id: B, admin: null }]) {
+  const sock = { calls: 0, waiting: [] };
+  sock.fetchMetadata = jid => {
+    sock.calls += 1;
+    return new Promise(resolve => sock.waiting.push(() => resolve({ id: jid, subject: `s${sock.calls}`, participants })));
+  };
+  sock.resolve = () => sock.waiting.splice(0).forEach(fn => fn());
+  return sock;
+}
+
+test('parallel reads share one fetch and later reads hit the cache', async () => {
+  const sock = fakeSock();
+  const cache = createGroupCache({ fetchMetadata: sock.fetchMetadata });
+  const reads = [cache.get(G), cache.isAdmin(G, A), cache.isMember(G, B)];
+  sock.resolve();
+  const [meta, admin, member] = await Promise.all(reads);
+  assert.equal(meta.subject, 's1');
+  assert.equal(admin, true);
+  assert.equal(member, true);
+  assert.equal(await cache.isAdmin(G, B), false);
+  assert.equal(sock.calls, 1);
+});
+
+test('peek and get expire with the TTL', async () => {
+  const sock = fakeSock();
+  const cache = createGroupCache({ fetchMetadata: sock.fetchMetadata, ttl: 20 });
+  const first = cache.get(G);
+  sock.resolve();
+  await first;
+  assert.equal(cache.peek(G).subject, 's1');
+  await sleep(30);
+  assert.equal(cache.peek(G), undefined);
+  const second = cache.get(G);
+  sock.resolve();
+  assert.equal((await second).subject, 's2');
+});
+
+test('a fetch that finishes after clear() is not cached', async () => {
+  const sock = fakeSock();
+  const cache = createGroupCache({ fetchMetadata: sock.fetchMetadata });
+  const stale = cache.get(G);
+  cache.clear();
+  sock.resolve();
+  assert.equal((await stale).subject, 's1');
+  assert.equal(cache.peek(G), undefined);
+});
+
+test('participant events patch the cached list', async () => {
+  const sock = fakeSock();
+  const cache = createGroupCache({ fetchMetadata: sock.fetchMetadata });
+  const read = cache.get(G);
+  sock.resolve();
+  await read;
+  const C = 'c@s.whatsapp.net';
+  cache.applyParticipants({ id: G, participants: [C], action: 'add' });
+  cache.applyParticipants({ id: G, participants: [{ id: B }], action: 'promote' });
+  cache.applyParticipants({ id: G, participants: [A], action: 'remove' });
+  assert.deepEqual(cache.peek(G).participants, [{ id: B, admin: 'admin' }, { id: C, admin: null }]);
+  assert.equal(cache.peek(G).size, 2);
+  cache.update([{ id: G, subject: 'renamed' }]);
+  assert.equal(cache.peek(G).subject, 'renamed');
+  cache.applyParticipants({ id: G, participants: [B], action: 'modify' });
+  assert.equal(cache.peek(G), undefined);
+});
+
+test('list fetches every group once per TTL', async () => {
+  let calls = 0;
+  const fetchAll = async () => { calls += 1; return { [G]: { id: G, participants: [] }, '2@g.us': { id: '2@g.us', participants: [] } }; };
+  const cache = createGroupCache({ fetchMetadata: async () => { throw new Error('unused'); }, fetchAll });
+  assert.equal((await cache.list()).length, 2);
+  assert.equal((await cache.list()).length, 2);
+  assert.equal(calls, 1);
+  await cache.list({ refresh: true });
+  assert.equal(calls, 2);
+  assert.equal(await cache.isAdmin('unknown@g.us', A), false);
+});
+
+test('participantId accepts jids and participant objects', () => {
+  assert.equal(participantId(A), A);
+  assert.equal(participantId({ id: A }), A);
+  assert.equal(participantId(null), null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LANGUAGES, FALLBACK_LANGUAGE, translate } = require('../lib/i18n');
+
+const catalogs = Object.fromEntries(LANGUAGES.map(lang => [lang, require(`../locales/${lang}`)]));
+const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+test('every catalog has the same keys and placeholders as the fallback', () => {
+  const reference = catalogs[FALLBACK_LANGUAGE];
+  for (const lang of LANGUAGES) {
+    assert.deepEqual(Object.keys(catalogs[lang]).sort(), Object.keys(reference).sort(), lang);
+    for (const key of Object.keys(reference)) {
+      assert.deepEqual(placeholders(catalogs[lang][key]), placeholders(reference[key]), `${lang} ${key}`);
+    }
+  }
+});
+
+test('translate fills the placeholders', () => {
+  assert.equal(translate('en', 'common.groupOnly', { command: 'Tagall' }), '*Tagall* only works in groups');
+});
+
+test('unknown languages use the fallback, unknown keys come back as is', () => {
+  assert.equal(translate('xx', 'common.groupOnly', { command: 'X' }), translate(FALLBACK_LANGUAGE, 'common.groupOnly', { command: 'X' }));
+  assert.equal(translate('en', 'no.such.key'), 'no.such.key');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizePhone, toJid, jidUser } = require('../lib/jid');
+
+test('normalizePhone keeps the digits and checks the length', () => {
+  assert.equal(normalizePhone('+509 3549-2574'), '50935492574');
+  assert.equal(normalizePhone(50935492574), '50935492574');
+  assert.throws(() => normalizePhone('3549'), /country code/);
+  assert.throws(() => normalizePhone('1234567890123456'), /country code/);
+  assert.throws(() => normalizePhone(''), /country code/);
+});
+
+test('toJid turns numbers into user jids and keeps jids as they are', () => {
+  assert.equal(toJid('+50935492574'), '50935492574@s.whatsapp.net');
+  assert.equal(toJid(' 509-3549-2574 '), '50935492574@s.whatsapp.net');
+  assert.equal(toJid('120363000000000000@g.us'), '120363000000000000@g.us');
+  assert.equal(toJid('@509'), '@509');
+  assert.equal(toJid('add'), null);
+  assert.equal(toJid('+'), null);
+  assert.equal(toJid(''), null);
+  assert.equal(toJid(undefined), null);
+});
+
+test('jidUser drops the server and the device suffix', () => {
+  assert.equal(jidUser('50935492574:12@s.whatsapp.net'), '50935492574');
+  assert.equal(jidUser('50935492574@s.whatsapp.net'), '50935492574');
+  assert.equal(jidUser('50935492574'), '50935492574');
+  assert.equal(jidUser(null), '');
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { saveRemoved, loadRemoved, markRestored } = require('../lib/kickallHistory');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kickall-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('the last kickall of a group is saved and marked restored', () => {
+  const group = '120363000000000000@g.us';
+  assert.equal(loadRemoved(dir, group), null);
+  saveRemoved(dir, group, { by: 'a@s.whatsapp.net', removed: ['x@s.whatsapp.net', 'y@s.whatsapp.net'] });
+  const entry = loadRemoved(dir, group);
+  assert.deepEqual(entry.removed, ['x@s.whatsapp.net', 'y@s.whatsapp.net']);
+  assert.equal(entry.restoredAt, null);
+  markRestored(dir, group);
+  assert.ok(loadRemoved(dir, group).restoredAt > 0);
+});
+
+test('group ids cannot escape the kickall folder', () => {
+  saveRemoved(dir, '../../evil', { by: 'a', removed: [] });
+  assert.deepEqual(fs.readdirSync(dir), ['kickall']);
+  assert.ok(loadRemoved(dir, '../../evil'));
+});
+
+test('markRestored without a saved kickall does nothing', () => {
+  markRestored(dir, 'none@g.us');
+  assert.equal(loadRemoved(dir, 'none@g.us'), null);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const LOGGER = path.join(__dirname, '..', 'lib', 'logger');
+
+// JSON lines a fresh process logs with the given environment
+function run(env, code) {
+  const out = execFileSync(process.execPath, ['-e', `const l = require(${JSON.stringify(LOGGER)}); ${code}`], {
+    env: { ...process.env, LOG_LEVEL: 'info', BAILEYS_LOG_LEVEL: 'warn', LOG_MESSAGE_BODIES: '', ...env },
+    encoding: 'utf8'
+  });
+  return out.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('message bodies are redacted by default', () => {
+  const [line] = run({}, "l.logger.info({ text: 'secret', message: { conversation: 'secret' }, args: ['secret'], jid: '1@g.us' }, 'got')");
+  assert.equal(line.text, '[redacted]');
+  assert.equal(line.message, '[redacted]');
+  assert.equal(line.args, '[redacted]');
+  assert.equal(line.jid, '1@g.us');
+});
+
+test('LOG_MESSAGE_BODIES keeps them', () => {
+  const [line] = run({ LOG_MESSAGE_BODIES: 'true' }, "l.logger.info({ text: 'secret' }, 'got')");
+  assert.equal(line.text, 'secret');
+});
+
+test('session lines carry the session, Baileys logs at its own level', () => {
+  const lines = run({}, `
+    const s = l.sessionLogger('abc', 'session_509');
+    s.info('opened');
+    const b = l.baileysLogger(s);
+    b.info('noise');
+    b.warn('kept');
+  `);
+  assert.deepEqual(lines.map(x => x.msg), ['opened', 'kept']);
+  assert.equal(lines[0].sessionId, 'abc');
+  assert.equal(lines[0].folder, 'session_509');
+  assert.equal(lines[1].module, 'baileys');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+process.env.MEDIA_MAX_MB = '1';
+const { findMedia, downloadMedia, toSticker, stickerToImage } = require('../lib/media');
+
+const G = '1@g.us';
+const key = { remoteJid: G, id: 'CMD', fromMe: false };
+
+function image(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 30, b: 30 } } }).png().toBuffer();
+}
+
+test('media attached to the command, even view-once', () => {
+  const m = { viewOnceMessageV2: { message: { imageMessage: { caption: '.sticker', fileLength: '10' } } } };
+  const media = findMedia({ msg: { key }, m, jid: G });
+  assert.equal(media.type, 'imageMessage');
+  assert.equal(media.viewOnce, true);
+  assert.equal(media.waMessage.key, key);
+  assert.deepEqual(media.waMessage.message, { imageMessage: { caption: '.sticker', fileLength: '10' } });
+});
+
+test('media in the quoted message, keyed by the quote', () => {
+  const m = {
+    extendedTextMessage: {
+      text: '.toimg',
+      contextInfo: { stanzaId: 'Q1', participant: '50911111111@s.whatsapp.net', quotedMessage: { stickerMessage: { isAnimated: false } } }
+    }
+  };
+  const media = findMedia({ msg: { key }, m, jid: G });
+  assert.equal(media.type, 'stickerMessage');
+  assert.equal(media.viewOnce, false);
+  assert.deepEqual(media.waMessage.key, { remoteJid: G, id: 'Q1', participant: '50911111111@s.whatsapp.net', fromMe: false });
+});
+
+test('no media anywhere', () => {
+  assert.equal(findMedia({ msg: { key }, m: { conversation: '.sticker' }, jid: G }), null);
+  const quotedText = { extendedTextMessage: { text: '.sticker', contextInfo: { stanzaId: 'Q', quotedMessage: { conversation: 'hi' } } } };
+  assert.equal(findMedia({ msg: { key }, m: quotedText, jid: G }), null);
+});
+
+test('media announced above the limit is not downloaded', async () => {
+  const media = { content: { fileLength: String(2 * 1024 * 1024) }, waMessage: {} };
+  await assert.rejects(downloadMedia({}, media), err => err.code === 'TOO_LARGE' && /1 MB/.test(err.message));
+});
+
+test('images become 512x512 WebP stickers and back', async () => {
+  const sticker = await toSticker(await image(800, 300));
+  const meta = await sharp(sticker).metadata();
+  assert.equal(meta.format, 'webp');
+  assert.equal(meta.width, 512);
+  assert.equal(meta.height, 512);
+  assert.ok(sticker.length <= 100 * 1024);
+
+  const png = await sharp(await stickerToImage(sticker)).metadata();
+  assert.equal(png.format, 'png');
+  assert.equal(png.width, 512);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { unwrapMessage, messageText } = require('../lib/messageContent');
+
+test('envelopes are removed, view-once is remembered', () => {
+  const image = { imageMessage: { caption: ' look ' } };
+  assert.deepEqual(unwrapMessage({ ephemeralMessage: { message: { viewOnceMessageV2: { message: image } } } }), { message: image, viewOnce: true });
+  assert.deepEqual(unwrapMessage({ documentWithCaptionMessage: { message: { documentMessage: { caption: 'cv' } } } }).viewOnce, false);
+  assert.equal(unwrapMessage({ imageMessage: { viewOnce: true } }).viewOnce, true);
+});
+
+test('missing messages unwrap to an empty one', () => {
+  assert.deepEqual(unwrapMessage(null), { message: {}, viewOnce: false });
+  assert.deepEqual(unwrapMessage({ ephemeralMessage: {} }), { message: { ephemeralMessage: {} }, viewOnce: false });
+});
+
+test('text comes from the body or the caption', () => {
+  assert.equal(messageText({ conversation: ' .menu ' }), '.menu');
+  assert.equal(messageText({ extendedTextMessage: { text: 'reply' } }), 'reply');
+  assert.equal(messageText(unwrapMessage({ viewOnceMessage: { message: { videoMessage: { caption: 'clip' } } } }).message), 'clip');
+  assert.equal(messageText({ documentMessage: { caption: 'cv' } }), 'cv');
+  assert.equal(messageText({ stickerMessage: {} }), '');
+});
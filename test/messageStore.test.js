@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getMessageStore, dropMessageStore } = require('../lib/messageStore');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const G1 = '1@g.us';
+const G2 = '2@g.us';
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'messages-'));
+  dirs.push(dir);
+  return dir;
+}
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// n messages an hour apart, the last one now; odd ones in G1
+function fill(store, n) {
+  const now = Date.now();
+  for (let i = 0; i < n; i++) {
+    store.add({
+      id: `m${i}`,
+      chat: i % 2 ? G1 : G2,
+      sender: `5091111111${i % 3}@s.whatsapp.net`,
+      at: now - (n - 1 - i) * HOUR,
+      type: 'conversation',
+      text: `Hello number ${i}`,
+      raw: { kept: true }
+    }, { retentionDays: 7 });
+  }
+}
+
+test('search pages newest first across day files, without raw', () => {
+  const store = getMessageStore(tempDir());
+  fill(store, 30);
+  const page = store.search({ page: 2, pageSize: 5 });
+  assert.equal(page.total, 30);
+  assert.deepEqual(page.entries.map(e => e.id), ['m24', 'm23', 'm22', 'm21', 'm20']);
+  assert.ok(page.entries.every(e => !('raw' in e)));
+  assert.deepEqual(store.search({ page: 7, pageSize: 5 }).entries, []);
+});
+
+test('search filters by group, sender and text', () => {
+  const store = getMessageStore(tempDir());
+  fill(store, 30);
+  const byGroup = store.search({ group: G1, text: 'HELLO', page: 3, pageSize: 4 });
+  assert.equal(byGroup.total, 15);
+  assert.deepEqual(byGroup.entries.map(e => e.id), ['m13', 'm11', 'm9', 'm7']);
+  const bySender = store.search({ sender: '+50911111112' });
+  assert.deepEqual(bySender.entries.map(e => e.id), ['m29', 'm26', 'm23', 'm20', 'm17', 'm14', 'm11', 'm8', 'm5', 'm2']);
+  assert.equal(store.search({ text: 'number 7' }).total, 1);
+});
+
+test('messages past the retention are not stored and old day files are pruned', () => {
+  const dir = tempDir();
+  const store = getMessageStore(dir);
+  const base = path.join(dir, 'messages');
+  fs.mkdirSync(base);
+  fs.writeFileSync(path.join(base, '2000-01-01.jsonl'), JSON.stringify({ id: 'old', chat: G1, at: 946684800000 }) + '\n');
+  assert.equal(store.add({ id: 'late', chat: G1, at: Date.now() - 10 * DAY }, { retentionDays: 7 }), null);
+  store.add({ id: 'new', chat: G1, at: Date.now() }, { retentionDays: 7 });
+  assert.deepEqual(store.search({}).entries.map(e => e.id), ['new']);
+  assert.ok(!fs.existsSync(path.join(base, '2000-01-01.jsonl')));
+});
+
+test('deletions keep the original and can be searched', () => {
+  const dir = tempDir();
+  const store = getMessageStore(dir);
+  store.add({ id: 'a', chat: G1, sender: '50911111111@s.whatsapp.net', at: Date.now(), text: 'secret plan', raw: { x: 1 } }, { retentionDays: 7 });
+  dropMessageStore(dir); // found from the day file, not from memory
+  const reloaded = getMessageStore(dir);
+  const deletion = reloaded.recordDeletion({ chat: G1, id: 'a', by: '50911111111@s.whatsapp.net' });
+  assert.equal(deletion.original.text, 'secret plan');
+  reloaded.recordDeletion({ chat: G1, id: 'unknown', by: '50922222222@s.whatsapp.net' });
+
+  const all = reloaded.deletions({});
+  assert.equal(all.total, 2);
+  assert.equal(all.entries[0].id, 'unknown');
+  assert.ok(!('raw' in all.entries[1].original));
+  assert.deepEqual(reloaded.deletions({ text: 'plan' }).entries.map(d => d.id), ['a']);
+  assert.deepEqual(reloaded.deletions({ sender: '50922222222' }).entries.map(d => d.id), ['unknown']);
+  assert.equal(reloaded.find(G1, 'a').raw.x, 1);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { inc, addCollector, render } = require('../lib/metrics');
+
+test('counters are kept per label set and rendered in the text format', () => {
+  inc('wa_commands_total', { command: 'kick', session: 'a' });
+  inc('wa_commands_total', { session: 'a', command: 'kick' }, 2);
+  inc('wa_commands_total', { command: 'menu', session: 'a' });
+  inc('wa_messages_received_total');
+  const out = render();
+  assert.match(out, /^# HELP wa_commands_total Commands run, by command name$/m);
+  assert.match(out, /^# TYPE wa_commands_total counter$/m);
+  assert.match(out, /^wa_commands_total\{command="kick",session="a"\} 3$/m);
+  assert.match(out, /^wa_commands_total\{command="menu",session="a"\} 1$/m);
+  assert.match(out, /^wa_messages_received_total 1$/m);
+  assert.match(out, /^# TYPE wa_reconnects_total counter$/m); // listed even before the first increment
+  assert.match(out, /^process_uptime_seconds \d+$/m);
+  assert.ok(out.endsWith('\n'));
+});
+
+test('unknown counters are refused', () => {
+  assert.throws(() => inc('wa_typo_total'), /unknown metric: wa_typo_total/);
+});
+
+test('collectors are read at scrape time and label values escaped', () => {
+  let open = 1;
+  addCollector(() => [{
+    name: 'wa_sessions',
+    help: 'Sessions by state',
+    type: 'gauge',
+    samples: [{ labels: { state: 'open', note: 'a "b"\\c\nd' }, value: open }]
+  }]);
+  assert.match(render(), /^wa_sessions\{state="open",note="a \\"b\\"\\\\c\\nd"\} 1$/m);
+  open = 4;
+  assert.match(render(), /^# TYPE wa_sessions gauge$/m);
+  assert.match(render(), /^wa_sessions\{.*\} 4$/m);
+});
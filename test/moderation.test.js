@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+const { createModerator, findBadWord, INVITE_LINK } = require('../lib/moderation');
+const { getSettingsStore } = require('../lib/settings');
+const { getWarningStore } = require('../lib/warnings');
+
+const G = '1@g.us';
+const ADMIN = '50922222222@s.whatsapp.net';
+const USER = '50933333333@s.whatsapp.net';
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// a running session with real settings / warnings and a socket that records what it is asked
+function setup(groupSettings) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-'));
+  dirs.push(dir);
+  const calls = [];
+  const sessionObj = {
+    dir,
+    settings: getSettingsStore(dir),
+    warnings: getWarningStore(dir),
+    groups: { isAdmin: async (jid, id) => id === ADMIN },
+    audit: { record: entry => calls.push(['audit', entry.action]) },
+    brand: { render: body => body },
+    sock: {
+      user: { id: '50900000000@s.whatsapp.net' },
+      sendMessage: async (jid, content) => calls.push(['send', content.delete ? 'delete' : content.text]),
+      groupParticipantsUpdate: async (jid, ids, action) => calls.push([action, ids[0]])
+    }
+  };
+  sessionObj.settings.set(G, groupSettings);
+  const sendWithImage = async (jid, content) => calls.push(['reply', content.text]);
+  const moderator = createModerator({ log: { error() {} }, sessionObj, sendWithImage });
+  let n = 0;
+  const handle = (sender, text) => moderator.handle({ msg: { key: { id: `m${++n}` } }, jid: G, sender, text });
+  return { sessionObj, calls, handle };
+}
+
+test('invite links are recognised', () => {
+  assert.ok(INVITE_LINK.test('join https://chat.whatsapp.com/AbCdEf123456'));
+  assert.ok(INVITE_LINK.test('whatsapp.com/channel/0029Va'));
+  assert.ok(!INVITE_LINK.test('https://example.com/chat.whatsapp'));
+});
+
+test('bad words match whole words, ignoring case and accents', () => {
+  assert.equal(findBadWord('Tu es un IDIÔT!', ['idiot']), 'idiot');
+  assert.equal(findBadWord('go to hell now', ['go to hell']), 'go to hell');
+  assert.equal(findBadWord('hello', ['hell']), null);
+  assert.equal(findBadWord('anything', ['', '  ']), null);
+});
+
+test('a link is deleted and warned, and the last warning removes the sender', async () => {
+  const { sessionObj, calls, handle } = setup({ antilink: true, maxWarnings: 2 });
+  assert.equal(await handle(USER, 'https://chat.whatsapp.com/AbCdEf123456'), true);
+  assert.deepEqual(calls.map(c => c[0]), ['send', 'audit', 'audit', 'reply']);
+  assert.equal(sessionObj.warnings.get(G, USER).count, 1);
+
+  calls.length = 0;
+  assert.equal(await handle(USER, 'chat.whatsapp.com/AbCdEf123456'), true);
+  assert.deepEqual(calls.map(c => c[0]), ['send', 'audit', 'audit', 'remove', 'audit', 'reply']);
+  assert.equal(sessionObj.warnings.get(G, USER).count, 0);
+});
+
+test('admins and clean messages are left alone', async () => {
+  const { calls, handle } = setup({ antilink: true, badwords: true, badwordsList: ['idiot'] });
+  assert.equal(await handle(ADMIN, 'https://chat.whatsapp.com/AbCdEf123456'), false);
+  assert.equal(await handle(USER, 'hello everyone'), false);
+  assert.deepEqual(calls, []);
+});
+
+test('every message counts towards flooding, links included', async () => {
+  const { sessionObj, handle } = setup({ antilink: true, antispam: true, spamMax: 3, spamWindowSec: 60, maxWarnings: 10 });
+  assert.equal(await handle(USER, 'chat.whatsapp.com/AbCdEf123456'), true);
+  assert.equal(await handle(USER, 'one'), false);
+  assert.equal(await handle(USER, 'two'), false);
+  assert.equal(await handle(USER, 'three'), true);
+  const reasons = sessionObj.warnings.get(G, USER).reasons.map(r => r.reason);
+  assert.deepEqual(reasons, ['link', 'spam']);
+  assert.equal(await handle(USER, 'four'), false);
+});
+
+test('warnings are kept per group and user and can be reset', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warnings-'));
+  dirs.push(dir);
+  const warnings = getWarningStore(dir);
+  assert.equal(warnings.add(G, USER, 'link'), 1);
+  assert.equal(warnings.add(G, USER, 'spam'), 2);
+  warnings.add(G, ADMIN, 'spam');
+  assert.deepEqual(Object.keys(warnings.list(G)).sort(), [ADMIN, USER].sort());
+  warnings.reset(G, USER);
+  assert.equal(warnings.get(G, USER).count, 0);
+  warnings.reset(G);
+  assert.deepEqual(warnings.list(G), {});
+  assert.deepEqual(JSON.parse(fs.readFileSync(warnings.file, 'utf8')), {});
+});
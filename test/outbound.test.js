@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildOutboundMessage } = require('../lib/outbound');
+
+// assert.throws matcher for an httpError
+const status = (code, message) => err => err.status === code && message.test(err.message);
+
+test('a text message to a phone number', () => {
+  const out = buildOutboundMessage({ to: '+509 3549 2574', text: 'hello', mentions: '50911111111, +50922222222' });
+  assert.deepEqual(out, {
+    jid: '50935492574@s.whatsapp.net',
+    content: { text: 'hello', mentions: ['50911111111@s.whatsapp.net', '50922222222@s.whatsapp.net'] },
+    options: {}
+  });
+});
+
+test('mentions and quoted may come as JSON strings (multipart)', () => {
+  const out = buildOutboundMessage({
+    to: '120363000000000000@g.us',
+    text: 'hi',
+    mentions: '["50911111111"]',
+    quoted: '{"id":"ABC","participant":"50911111111","text":"earlier"}'
+  });
+  assert.deepEqual(out.content.mentions, ['50911111111@s.whatsapp.net']);
+  assert.deepEqual(out.options.quoted.key, { remoteJid: '120363000000000000@g.us', id: 'ABC', fromMe: false, participant: '50911111111@s.whatsapp.net' });
+  assert.equal(out.options.quoted.message.conversation, 'earlier');
+});
+
+test('an uploaded image or document becomes the content, with the text as caption', () => {
+  const buffer = Buffer.from('x');
+  const image = buildOutboundMessage({ to: '50935492574', text: 'look' }, { image: { buffer, mimetype: 'image/png' } });
+  assert.deepEqual(image.content, { image: buffer, caption: 'look' });
+
+  const doc = buildOutboundMessage({ to: '50935492574' }, { document: { buffer, mimetype: 'application/pdf', originalname: 'a.pdf' } });
+  assert.deepEqual(doc.content, { document: buffer, mimetype: 'application/pdf', fileName: 'a.pdf', caption: '' });
+
+  const byUrl = buildOutboundMessage({ to: '50935492574', documentUrl: 'https://example.com/f' });
+  assert.deepEqual(byUrl.content, { document: { url: 'https://example.com/f' }, mimetype: 'application/octet-stream', fileName: 'document', caption: '' });
+});
+
+test('invalid requests are 400s', () => {
+  assert.throws(() => buildOutboundMessage({ text: 'x' }), status(400, /to/));
+  assert.throws(() => buildOutboundMessage({ to: '50935492574', text: '  ' }), status(400, /required/));
+  assert.throws(() => buildOutboundMessage({ to: '50935492574', text: 'x', mentions: '[oops' }), status(400, /mentions/));
+  assert.throws(() => buildOutboundMessage({ to: '50935492574', text: 'x', quoted: '{' }), status(400, /quoted/));
+  assert.throws(() => buildOutboundMessage({ to: '50935492574', text: 'x', quoted: { text: 'y' } }), status(400, /quoted.id/));
+  assert.throws(() => buildOutboundMessage({ to: '50935492574', imageUrl: 'a', documentUrl: 'b' }), status(400, /not both/));
+});
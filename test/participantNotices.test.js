@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isNoticeEnabled, buildNotice } = require('../lib/participantNotices');
+const { DEFAULT_GROUP_SETTINGS } = require('../lib/settings');
+const { translate } = require('../lib/i18n');
+
+const settings = patch => ({ ...DEFAULT_GROUP_SETTINGS, language: 'en', ...patch });
+
+test('each action follows its own toggle', () => {
+  const s = settings({ welcome: true, roleNotices: true });
+  assert.equal(isNoticeEnabled(s, 'add'), true);
+  assert.equal(isNoticeEnabled(s, 'remove'), false);
+  assert.equal(isNoticeEnabled(s, 'promote'), true);
+  assert.equal(isNoticeEnabled(s, 'demote'), true);
+  assert.equal(isNoticeEnabled(s, 'modify'), false);
+});
+
+test('a custom template is filled with the notice details', () => {
+  const s = settings({ goodbyeTemplate: 'Bye @{user} from {group} ({count} left, by {author}) {unknown}' });
+  assert.equal(
+    buildNotice(s, 'remove', { user: '509', group: 'Friends', count: 9, author: 'admin' }),
+    'Bye @509 from Friends (9 left, by admin) {unknown}'
+  );
+});
+
+test('an empty template uses the localized default', () => {
+  const vars = { user: '509', group: 'Friends', desc: '', count: 3, author: 'x' };
+  assert.equal(buildNotice(settings({}), 'add', vars), translate('en', 'welcome.default', vars));
+  assert.equal(buildNotice(settings({ language: 'ht' }), 'demote', vars), translate('ht', 'demoted.default', vars));
+});
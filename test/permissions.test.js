@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+const { hasRole, sanitizeRole, listed, isOwner, isBanned, resolveRole, requiredRole } = require('../lib/permissions');
+const { getSettingsStore } = require('../lib/settings');
+const { writeMeta } = require('../lib/sessionFolders');
+
+const G = '1@g.us';
+const OWNER = '50900000000@s.whatsapp.net';
+const SUDO = '50911111111@s.whatsapp.net';
+const ADMIN = '50922222222@s.whatsapp.net';
+const MEMBER = '50933333333@s.whatsapp.net';
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// running-session shape permissions reads: dir, sock.user, settings, groups
+function session({ sudo = [], banned = [] } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perm-'));
+  dirs.push(dir);
+  writeMeta(dir, { phone: '+509 0000 0000' });
+  const settings = getSettingsStore(dir);
+  settings.setSession({ sudo, banned });
+  return {
+    dir,
+    settings,
+    sock: { user: { id: '50988888888:3@s.whatsapp.net' } },
+    groups: { isAdmin: async (jid, id) => jid === G && id === ADMIN }
+  };
+}
+
+test('roles are ordered member < admin < sudo < owner', () => {
+  assert.ok(hasRole('owner', 'sudo'));
+  assert.ok(hasRole('admin', 'admin'));
+  assert.ok(!hasRole('admin', 'sudo'));
+  assert.ok(!hasRole('member', 'admin'));
+  assert.equal(sanitizeRole('Admin'), 'admin');
+  assert.throws(() => sanitizeRole('god'), /role must be one of/);
+});
+
+test('listed compares numbers, not jid forms', () => {
+  assert.ok(listed([SUDO], '50911111111:12@s.whatsapp.net'));
+  assert.ok(listed(['50911111111:3@s.whatsapp.net'], SUDO));
+  assert.ok(!listed([SUDO], MEMBER));
+  assert.ok(!listed(undefined, MEMBER));
+});
+
+test('the linked account and the meta.json phone are owners', () => {
+  const s = session();
+  assert.ok(isOwner(s, '50988888888@s.whatsapp.net'));
+  assert.ok(isOwner(s, '50900000000:7@s.whatsapp.net'));
+  assert.ok(!isOwner(s, MEMBER));
+});
+
+test('resolveRole', async () => {
+  const s = session({ sudo: [SUDO] });
+  const role = (sender, extra = {}) => resolveRole({ sessionObj: s, jid: G, sender, isGroup: true, ...extra });
+  assert.equal(await role(OWNER), 'owner');
+  assert.equal(await role(MEMBER, { fromMe: true }), 'owner');
+  assert.equal(await role('50911111111:4@s.whatsapp.net'), 'sudo');
+  assert.equal(await role(ADMIN), 'admin');
+  assert.equal(await role(ADMIN, { isGroup: false }), 'member');
+  assert.equal(await role(MEMBER), 'member');
+});
+
+test('banned users are matched by number and the owner is never banned', () => {
+  const s = session({ banned: [MEMBER, OWNER] });
+  assert.ok(isBanned(s, '50933333333:2@s.whatsapp.net'));
+  assert.ok(!isBanned(s, OWNER));
+  assert.ok(!isBanned(s, ADMIN));
+});
+
+test('requiredRole: group rule, then session rule, then the command default', () => {
+  const s = session();
+  const kick = { name: 'kick', role: 'admin' };
+  assert.equal(requiredRole(kick, s.settings, G), 'admin');
+  assert.equal(requiredRole({ name: 'menu' }, s.settings, G), 'member');
+  s.settings.setSession({ commandRoles: { kick: 'sudo' } });
+  assert.equal(requiredRole(kick, s.settings, G), 'sudo');
+  s.settings.set(G, { commandRoles: { kick: 'member' } });
+  assert.equal(requiredRole(kick, s.settings, G), 'member');
+  assert.equal(requiredRole(kick, s.settings, '2@g.us'), 'sudo');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DisconnectReason } = require('baileys');
+
+process.env.RECONNECT_BASE_MS = '1000';
+process.env.RECONNECT_MAX_MS = '8000';
+process.env.RECONNECT_MAX_ATTEMPTS = '3';
+const { reasonName, backoffDelay, nextStep } = require('../lib/reconnectPolicy');
+
+test('close codes are named', () => {
+  assert.equal(reasonName(DisconnectReason.restartRequired), 'restartRequired');
+  assert.equal(reasonName(null), 'unknown');
+  assert.equal(reasonName(123), '123');
+});
+
+test('dead creds and a replaced session halt', () => {
+  for (const code of [DisconnectReason.loggedOut, DisconnectReason.badSession, DisconnectReason.multideviceMismatch, DisconnectReason.forbidden]) {
+    assert.equal(nextStep(code).state, 'needs_relogin');
+  }
+  assert.deepEqual(nextStep(DisconnectReason.connectionReplaced), { action: 'halt', state: 'replaced', reason: 'connectionReplaced' });
+});
+
+test('restartRequired reconnects at once, then backs off', () => {
+  const first = nextStep(DisconnectReason.restartRequired);
+  assert.deepEqual(first, { action: 'reconnect', restart: true, delay: 0, attempt: 1, reason: 'restartRequired' });
+  const again = nextStep(DisconnectReason.restartRequired, 1);
+  assert.ok(again.delay >= 1000 && again.delay <= 2000);
+});
+
+test('other failures back off until the attempts run out', () => {
+  const step = nextStep(null, 2);
+  assert.equal(step.action, 'reconnect');
+  assert.equal(step.restart, false);
+  assert.equal(step.attempt, 3);
+  assert.ok(step.delay >= 2000 && step.delay <= 4000);
+  assert.deepEqual(nextStep(null, 3), { action: 'halt', state: 'gave_up', reason: 'unknown' });
+});
+
+test('the backoff ceiling doubles up to the maximum', () => {
+  for (let i = 0; i < 20; i++) {
+    const d = backoffDelay(0);
+    assert.ok(d >= 500 && d <= 1000);
+    const capped = backoffDelay(10);
+    assert.ok(capped >= 4000 && capped <= 8000);
+  }
+  const custom = backoffDelay(2, { base: 10, max: 30 });
+  assert.ok(custom >= 15 && custom <= 30);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+const { getScheduleStore, dropScheduleStore } = require('../lib/schedules');
+const { getSettingsStore } = require('../lib/settings');
+
+const G = '1@g.us';
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+  dirs.push(dir);
+  return dir;
+}
+test.after(() => {
+  for (const dir of dirs) dropScheduleStore(dir);
+  dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('schedules are validated', () => {
+  const store = getScheduleStore(tempDir());
+  assert.throws(() => store.add({ group: '509@s.whatsapp.net', cron: '0 22 * * *', action: 'close' }), /group jid/);
+  assert.throws(() => store.add({ group: G, cron: '0 22 * * *', action: 'kick' }), /action must be one of/);
+  assert.throws(() => store.add({ group: G, cron: '0 25 * * *', action: 'close' }), /invalid cron/);
+  assert.throws(() => store.add({ group: G, cron: '0 22 * * *', action: 'message' }), /needs a text/);
+  assert.throws(() => store.add({ group: G, cron: '0 22 * * *', action: 'close', timezone: 'Nowhere/Land' }), /timezone/);
+  assert.deepEqual(store.list(), []);
+});
+
+test('a schedule takes the session timezone and survives a reload', () => {
+  const dir = tempDir();
+  getSettingsStore(dir).setSession({ timezone: 'America/Port-au-Prince' });
+  const s = getScheduleStore(dir).add({ group: G, cron: ' 0  22 * * * ', action: 'close', createdBy: 'a' });
+  assert.equal(s.cron, '0 22 * * *');
+  assert.equal(s.timezone, 'America/Port-au-Prince');
+  assert.equal(s.nextRunAt, null); // not armed until the session starts it
+
+  dropScheduleStore(dir);
+  const store = getScheduleStore(dir);
+  assert.deepEqual(store.list(G).map(x => x.id), [s.id]);
+  assert.deepEqual(store.list('2@g.us'), []);
+  store.remove(s.id);
+  assert.throws(() => store.remove(s.id), /unknown schedule/);
+  assert.equal(store.get(s.id), null);
+});
+
+test('started schedules fire and keep the outcome of the last run', async () => {
+  const store = getScheduleStore(tempDir());
+  const runs = [];
+  const ok = store.add({ group: G, cron: '* * * * * *', action: 'hidetag', text: 'hi', timezone: 'UTC' });
+  const failing = store.add({ group: G, cron: '* * * * * *', action: 'open', timezone: 'UTC' });
+  store.start(async s => {
+    runs.push(s.id);
+    if (s.id === failing.id) throw new Error('not admin');
+  });
+  assert.ok(store.get(ok.id).nextRunAt > Date.now());
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  store.stop();
+  assert.ok(runs.includes(ok.id) && runs.includes(failing.id));
+  assert.equal(store.get(ok.id).lastError, null);
+  assert.ok(store.get(ok.id).lastRunAt > 0);
+  assert.equal(store.get(failing.id).lastError, 'not admin');
+  assert.equal(store.get(ok.id).nextRunAt, null);
+});
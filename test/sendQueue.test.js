@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUEUE_RETRY_BASE_MS = '10';
+const { createSendQueue, normalizePriority } = require('../lib/sendQueue');
+
+// one token up front, then one every 10ms
+const RATES = { messages: { perMinute: 6000, burst: 1 }, group: { perMinute: 6000, burst: 1 } };
+
+test('waiting jobs run by priority, then in arrival order', async () => {
+  const queue = createSendQueue({ rates: RATES });
+  const order = [];
+  const job = name => () => { order.push(name); return name; };
+  await Promise.all([
+    queue.enqueue('messages', job('first')),
+    queue.enqueue('messages', job('low'), { priority: 'low' }),
+    queue.enqueue('messages', job('normal1')),
+    queue.enqueue('messages', job('high'), { priority: 'high' }),
+    queue.enqueue('messages', job('normal2'))
+  ]);
+  assert.deepEqual(order, ['first', 'high', 'normal1', 'normal2', 'low']);
+  assert.equal(queue.stats().messages.sent, 5);
+});
+
+test('withPriority applies to every send made inside it', async () => {
+  const queue = createSendQueue({ rates: RATES });
+  const order = [];
+  const send = queue.wrap({ sendMessage: async name => { order.push(name); } });
+  await Promise.all([
+    send.sendMessage('first'),
+    queue.withPriority('low', () => send.sendMessage('low')),
+    send.sendMessage('normal'),
+    queue.withPriority('high', async () => { await null; return send.sendMessage('high'); })
+  ]);
+  assert.deepEqual(order, ['first', 'high', 'normal', 'low']);
+});
+
+test('rate-limit errors are retried, other errors fail at once', async () => {
+  const failures = [];
+  const queue = createSendQueue({ rates: RATES, onFailure: (bucket, n) => failures.push([bucket, n]) });
+  let calls = 0;
+  const flaky = async () => {
+    calls += 1;
+    if (calls < 3) throw Object.assign(new Error('rate-overlimit'), { data: { status: 429 } });
+    return 'sent';
+  };
+  assert.equal(await queue.enqueue('group', flaky), 'sent');
+  assert.equal(calls, 3);
+  assert.equal(queue.stats().group.retried, 2);
+
+  await assert.rejects(queue.enqueue('group', async () => { throw new Error('forbidden'); }), /forbidden/);
+  assert.deepEqual(failures, [['group', 1]]);
+});
+
+test('a full bucket rejects new low jobs but lets higher ones evict the lowest', async () => {
+  const queue = createSendQueue({ rates: { messages: { perMinute: 1, burst: 1 }, group: RATES.group }, maxDepth: 2 });
+  const results = {};
+  const add = (name, priority) => queue.enqueue('messages', async () => name, { priority })
+    .then(r => { results[name] = r; }, e => { results[name] = e.code; });
+  const started = add('running', 'low');
+  add('low1', 'low');
+  add('low2', 'low');
+  add('low3', 'low');
+  add('high', 'high');
+  add('normal', 'normal');
+  add('normal2', 'normal');
+  await started;
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(results, { running: 'running', low3: 'QUEUE_FULL', low2: 'QUEUE_FULL', low1: 'QUEUE_FULL', normal2: 'QUEUE_FULL' });
+  assert.equal(queue.stats().messages.depth, 2);
+  queue.clear();
+});
+
+test('clear rejects what is waiting and everything after', async () => {
+  const queue = createSendQueue({ rates: { messages: { perMinute: 1, burst: 0 }, group: RATES.group } });
+  const waiting = queue.enqueue('messages', async () => 'never');
+  queue.clear('socket closed');
+  await assert.rejects(waiting, /socket closed/);
+  await assert.rejects(queue.enqueue('messages', async () => 'late'), /closed/);
+  await assert.rejects(createSendQueue().enqueue('nope', async () => {}), /unknown send queue bucket/);
+});
+
+test('normalizePriority', () => {
+  assert.equal(normalizePriority(undefined), 'normal');
+  assert.equal(normalizePriority('high'), 'high');
+  assert.throws(() => normalizePriority('urgent'), /priority must be one of/);
+});
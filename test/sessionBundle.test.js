@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sealBundle, openBundle } = require('../lib/sessionBundle');
+
+const PASS = 'correct horse';
+const payload = {
+  folder: 'auth_info3',
+  meta: { phone: '50900000000' },
+  auth: { creds: '{"me":{"id":"50900000000@s.whatsapp.net"}}', 'pre-key-1': '{}' },
+  files: { 'settings.json': '{}' }
+};
+
+test('a sealed bundle opens with its passphrase', () => {
+  const bundle = sealBundle(payload, PASS);
+  assert.ok(!bundle.toString('utf8').includes('50900000000'));
+  const opened = openBundle(bundle, PASS);
+  assert.deepEqual({ ...opened, exportedAt: undefined }, { ...payload, exportedAt: undefined });
+  assert.ok(opened.exportedAt <= Date.now());
+  assert.deepEqual(openBundle(bundle.toString('utf8'), PASS).auth, payload.auth);
+});
+
+test('short passphrases are refused', () => {
+  assert.throws(() => sealBundle(payload, 'short'), /at least 8 characters/);
+  assert.throws(() => openBundle('{}', undefined), /at least 8 characters/);
+});
+
+test('a wrong passphrase and a tampered bundle fail the same way', () => {
+  const bundle = sealBundle(payload, PASS);
+  assert.throws(() => openBundle(bundle, 'wrong passphrase'), /wrong passphrase or corrupted bundle/);
+  const envelope = JSON.parse(bundle);
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  const tampered = JSON.stringify({ ...envelope, data: data.toString('base64') });
+  assert.throws(() => openBundle(tampered, PASS), /wrong passphrase or corrupted bundle/);
+});
+
+test('other files and versions are recognised', () => {
+  assert.throws(() => openBundle('not json', PASS), /not a session bundle/);
+  assert.throws(() => openBundle(JSON.stringify({ format: 'zip' }), PASS), /not a session bundle/);
+  const envelope = JSON.parse(sealBundle(payload, PASS));
+  assert.throws(() => openBundle(JSON.stringify({ ...envelope, version: 2 }), PASS), /unsupported bundle version: 2/);
+});
+
+test('a bundle without creds is refused', () => {
+  const bundle = sealBundle({ ...payload, auth: {} }, PASS);
+  assert.throws(() => openBundle(bundle, PASS), /bundle has no creds/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const { createSessionEvents } = require('../lib/sessionEvents');
+
+// records what reaches each room and the whole server
+function fakeIo() {
+  const sent = [];
+  return {
+    sent,
+    to: room => ({ emit: (event, body) => sent.push({ room, event, body }) }),
+    emit: (event, body) => sent.push({ room: '*', event, body })
+  };
+}
+
+function fakeSocket() {
+  const received = [];
+  const rooms = new Set();
+  return {
+    received,
+    rooms,
+    join: room => rooms.add(room),
+    leave: room => rooms.delete(room),
+    emit: (event, body) => received.push({ event, body })
+  };
+}
+
+test('events go to the session room and update the state', () => {
+  const io = fakeIo();
+  const events = createSessionEvents(io);
+  events.emit('s1', 'starting', { folderName: 'auth_info1' });
+  events.emit('s1', 'qr', { qr: 'data:image/png;base64,x' });
+  assert.equal(io.sent[1].room, 'session:s1');
+  assert.equal(io.sent[1].event, 'qr');
+  assert.deepEqual(
+    { state: events.snapshot('s1').state, folderName: events.snapshot('s1').folderName },
+    { state: 'qr', folderName: 'auth_info1' }
+  );
+  events.emit('s1', 'connected');
+  assert.equal(events.snapshot('s1').state, 'open');
+  assert.equal(events.snapshot('s1').qr, null);
+});
+
+test('a late subscriber gets the current state and QR', () => {
+  const events = createSessionEvents(fakeIo());
+  events.emit('s1', 'qr', { qr: 'data:image/png;base64,x' });
+  const socket = fakeSocket();
+  events.subscribe(socket, 's1');
+  assert.ok(socket.rooms.has('session:s1'));
+  assert.deepEqual(socket.received.map(r => r.event), ['session_state', 'qr']);
+  events.unsubscribe(socket, 's1');
+  assert.ok(!socket.rooms.has('session:s1'));
+});
+
+test('an expired pairing code is not replayed', () => {
+  const events = createSessionEvents(fakeIo());
+  events.emit('s1', 'pairing_code', { code: 'ABCD1234', expiresAt: Date.now() - 1 });
+  const socket = fakeSocket();
+  events.subscribe(socket, 's1');
+  assert.deepEqual(socket.received.map(r => r.event), ['session_state']);
+});
+
+test('unknown sessions report idle until they emit', () => {
+  const events = createSessionEvents(fakeIo());
+  const socket = fakeSocket();
+  events.subscribe(socket, 'nope');
+  assert.deepEqual(socket.received[0].body, { sessionId: 'nope', state: 'idle' });
+  events.emit('nope', 'connected');
+  events.forget('nope');
+  assert.equal(events.snapshot('nope'), null);
+});
+
+test('a failing listener does not stop the others', () => {
+  const events = createSessionEvents(fakeIo());
+  const heard = [];
+  events.onChange(() => { throw new Error('boom'); });
+  events.onChange((sessionId, event) => heard.push(`${sessionId}:${event}`));
+  events.emit('s1', 'halted', { state: 'needs_relogin' });
+  assert.deepEqual(heard, ['s1:halted']);
+  assert.equal(events.snapshot('s1').state, 'needs_relogin');
+});
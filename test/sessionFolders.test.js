@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readMeta, writeMeta, clearAuthCreds, AUTH_FILE_RE } = require('../lib/sessionFolders');
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'folders-'));
+  dirs.push(dir);
+  return dir;
+}
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('writeMeta merges into meta.json', () => {
+  const dir = tempDir();
+  assert.deepEqual(readMeta(dir), {});
+  writeMeta(dir, { sessionId: 's1', profile: 'x' });
+  writeMeta(dir, { phone: '50900000000' });
+  assert.deepEqual(readMeta(dir), { sessionId: 's1', profile: 'x', phone: '50900000000' });
+});
+
+test('readMeta ignores a corrupt meta.json', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'meta.json'), '{');
+  assert.deepEqual(readMeta(dir), {});
+});
+
+test('clearAuthCreds removes Baileys files and keeps ours', () => {
+  const dir = tempDir();
+  const baileys = ['creds.json', 'pre-key-1.json', 'session-50900000000.0.json', 'app-state-sync-key-AAA.json', 'sender-key-memory-g.json'];
+  const ours = ['meta.json', 'settings.json', 'webhooks.json', 'audit.jsonl'];
+  for (const name of [...baileys, ...ours]) fs.writeFileSync(path.join(dir, name), '{}');
+  assert.equal(clearAuthCreds(dir), baileys.length);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ours.sort());
+  assert.equal(clearAuthCreds(path.join(dir, 'missing')), 0);
+});
+
+test('AUTH_FILE_RE matches auth entries only', () => {
+  assert.ok(AUTH_FILE_RE.test('creds.json'));
+  assert.ok(AUTH_FILE_RE.test('pre-key-12.json'));
+  assert.ok(!AUTH_FILE_RE.test('meta.json'));
+  assert.ok(!AUTH_FILE_RE.test('schedules.json'));
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSessionStats } = require('../lib/sessionStats');
+
+test('messages and commands are counted per session', () => {
+  const changed = [];
+  const stats = createSessionStats({ onChange: id => changed.push(id) });
+  const before = Date.now();
+  stats.record('a', 'message');
+  stats.record('a', 'message');
+  stats.record('a', 'command');
+  stats.record('b', 'message');
+
+  const a = stats.get('a');
+  assert.equal(a.messages, 2);
+  assert.equal(a.commands, 1);
+  assert.ok(a.lastMessageAt >= before && a.lastCommandAt >= before);
+  assert.equal(stats.get('b').commands, 0);
+  assert.equal(stats.get('b').lastCommandAt, null);
+  assert.deepEqual(changed, ['a', 'a', 'a', 'b']);
+});
+
+test('get returns a copy and forget starts over', () => {
+  const stats = createSessionStats();
+  stats.record('a', 'command');
+  stats.get('a').commands = 99;
+  assert.equal(stats.get('a').commands, 1);
+  stats.forget('a');
+  assert.deepEqual(stats.get('a'), { messages: 0, commands: 0, lastMessageAt: null, lastCommandAt: null });
+});
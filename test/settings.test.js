@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+const { getSettingsStore, dropSettingsStore, DEFAULT_GROUP_SETTINGS } = require('../lib/settings');
+
+const GROUP = '120363000000000000@g.us';
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+  dirs.push(dir);
+  return dir;
+}
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('a group without settings gets the defaults and the session language', () => {
+  const dir = tempDir();
+  const store = getSettingsStore(dir);
+  store.setSession({ language: 'en' });
+  const s = store.get(GROUP);
+  assert.equal(s.prefix, DEFAULT_GROUP_SETTINGS.prefix);
+  assert.equal(s.welcome, false);
+  assert.equal(s.language, 'en');
+});
+
+test('settings survive a reload from settings.json', () => {
+  const dir = tempDir();
+  getSettingsStore(dir).set(GROUP, { welcome: true, prefix: '!', language: 'ht', welcomeTemplate: 'Hi {user}' });
+  dropSettingsStore(dir);
+  const s = getSettingsStore(dir).get(GROUP);
+  assert.equal(s.welcome, true);
+  assert.equal(s.prefix, '!');
+  assert.equal(s.language, 'ht');
+  assert.equal(s.welcomeTemplate, 'Hi {user}');
+  assert.ok(!fs.existsSync(path.join(dir, 'settings.json.tmp')));
+});
+
+test('a group language of "default" inherits the session language', () => {
+  const store = getSettingsStore(tempDir());
+  store.set(GROUP, { language: 'ht' });
+  store.set(GROUP, { language: 'default' });
+  store.setSession({ language: 'en' });
+  assert.equal(store.get(GROUP).language, 'en');
+  assert.equal(store.all().groups[GROUP].language, null);
+});
+
+test('invalid values are rejected and leave the stored settings alone', () => {
+  const store = getSettingsStore(tempDir());
+  assert.throws(() => store.set(GROUP, { prefix: '' }), /prefix/);
+  assert.throws(() => store.set(GROUP, { prefix: 'a b' }), /prefix/);
+  assert.throws(() => store.set(GROUP, { language: 'xx' }), /language/);
+  assert.throws(() => store.set(GROUP, { spamMax: 1 }), /spamMax/);
+  assert.throws(() => store.setSession({ timezone: 'Mars/Olympus' }), /timezone/);
+  assert.throws(() => store.set(undefined, { welcome: true }), /group jid/);
+  assert.equal(store.get(GROUP).prefix, '.');
+});
+
+test('jid and word lists are normalized', () => {
+  const store = getSettingsStore(tempDir());
+  const s = store.set(GROUP, { kickallWhitelist: '+50911111111, 50911111111 50922222222', badwordsList: 'Foo, foo\nBar' });
+  assert.deepEqual(s.kickallWhitelist, ['50911111111@s.whatsapp.net', '50922222222@s.whatsapp.net']);
+  assert.deepEqual(s.badwordsList, ['foo', 'bar']);
+});
+
+test('a corrupt settings.json falls back to the defaults', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'settings.json'), '{ not json');
+  assert.equal(getSettingsStore(dir).get(GROUP).prefix, '.');
+});
+
+test('nothing is written once the session folder is gone', () => {
+  const dir = tempDir();
+  const store = getSettingsStore(dir);
+  fs.rmSync(dir, { recursive: true });
+  store.set(GROUP, { welcome: true });
+  assert.ok(!fs.existsSync(dir));
+});
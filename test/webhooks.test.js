@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+const { getWebhookStore, dropWebhookStore } = require('../lib/webhooks');
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  dirs.push(dir);
+  return dir;
+}
+
+// answers every POST with the status from `reply` and keeps what it received
+const received = [];
+let reply = 200;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.statusCode = reply;
+    res.end();
+  });
+});
+let url;
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+  resolve();
+})));
+test.after(() => {
+  for (const dir of dirs) dropWebhookStore(dir);
+  dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  server.close();
+});
+test.beforeEach(() => { received.length = 0; reply = 200; });
+
+async function until(check, ms = 3000) {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('hooks are validated, saved and listed without their secret', () => {
+  const dir = tempDir();
+  const store = getWebhookStore(dir);
+  assert.throws(() => store.add({ url: 'ftp://example.com' }), /http/);
+  assert.throws(() => store.add({ url: 'nope' }), /invalid webhook url/);
+  assert.throws(() => store.add({ url, events: ['message', 'typing'] }), /typing/);
+  const hook = store.add({ url, events: ['message'], secret: 'abcdefgh' });
+  assert.equal(hook.secret, 'abcdefgh');
+  assert.equal(store.list()[0].secret, 'abcd…');
+
+  dropWebhookStore(dir);
+  assert.deepEqual(getWebhookStore(dir).list().map(h => h.id), [hook.id]);
+  getWebhookStore(dir).remove(hook.id);
+  assert.throws(() => getWebhookStore(dir).remove(hook.id), /unknown webhook/);
+});
+
+test('deliveries are signed and only go to hooks of that event', async () => {
+  const store = getWebhookStore(tempDir());
+  store.add({ url, events: ['message'], secret: 's3cret' });
+  store.add({ url: url + '?other', events: ['connection'] });
+  store.dispatch('message', 's1', { text: 'hi' });
+  await until(() => received.length === 1);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(received.length, 1);
+
+  const { headers, body } = received[0];
+  const expected = 'sha256=' + crypto.createHmac('sha256', 's3cret').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], expected);
+  assert.equal(headers['x-webhook-event'], 'message');
+  const payload = JSON.parse(body);
+  assert.equal(payload.sessionId, 's1');
+  assert.deepEqual(payload.data, { text: 'hi' });
+  assert.equal(headers['x-webhook-id'], payload.id);
+});
+
+test('failed deliveries are retried, then kept as dead letters that can be retried', async () => {
+  const store = getWebhookStore(tempDir());
+  store.add({ url, events: ['message'] });
+  reply = 500;
+  store.dispatch('message', 's1', { n: 1 });
+  await until(() => store.deadLetters().length === 1);
+  assert.equal(received.length, 2);
+  const [dead] = store.deadLetters();
+  assert.equal(dead.attempts, 2);
+  assert.equal(dead.lastError, 'status 500');
+
+  reply = 200;
+  store.retryDeadLetter(dead.deliveryId);
+  assert.equal(store.deadLetters().length, 0);
+  await until(() => received.length === 3);
+  assert.equal(JSON.parse(received[2].body).id, dead.deliveryId);
+  assert.throws(() => store.retryDeadLetter(dead.deliveryId), /unknown dead letter/);
+});
+
+test('a hook removed while a retry is waiting is not called again', async () => {
+  const store = getWebhookStore(tempDir());
+  const hook = store.add({ url, events: ['message'] });
+  reply = 500;
+  store.dispatch('message', 's1', {});
+  await until(() => received.length === 1);
+  store.remove(hook.id);
+  await new Promise(resolve => setTimeout(resolve, 700));
+  assert.equal(received.length, 1);
+  assert.equal(store.deadLetters().length, 0);
+});